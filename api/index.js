@@ -3,46 +3,127 @@
 /**
  * SHIB Ads WebApp Backend API
  * Handles all POST requests from the Telegram Mini App frontend.
- * Uses the Supabase REST API for persistence.
+ * Persistence goes through lib/storage (Supabase REST API by default, in-memory for offline runs).
  */
 const crypto = require('crypto');
+const storage = require('../lib/storage');
+const { SETTINGS_SCHEMA, getSettings, validateSettings, updateSettings } = require('../lib/settings');
+const { pickSector, describeWheel, publicWheel } = require('../lib/spinWheel');
+const { generateServerSeed, hashServerSeed, normalizeClientSeed, deriveRandom } = require('../lib/provablyFair');
+const { getAdNetwork, hasCallbackNetworks, verifyCallback } = require('../lib/adNetworks');
+const { METRICS, PERIODS, periodRange, computeStandings } = require('../lib/leaderboard');
+const { CONTEST_COLUMNS, buildContest, computeResults, payContest, processDueContests } = require('../lib/contests');
+const { sendMessage, parseCommand, isValidWebhookRequest, escapeHtml } = require('../lib/telegramBot');
+const { notify, processNotificationQueue } = require('../lib/notifications');
+const { RATE_LIMIT_ACTIONS, getClientIp, consumeRateLimit } = require('../lib/rateLimit');
+const { refreshDailyLimits } = require('../lib/dailyLimits');
+const { AUDIT_ACTIONS, recordAudit, queryAuditLog } = require('../lib/audit');
+const { USER_SORTS, USER_SEARCH_FIELDS, listUsers, getUserDetails } = require('../lib/adminUsers');
+const { STATS_MAX_RANGE_DAYS, statsRange, computeStats } = require('../lib/stats');
 
-// Load environment variables for Supabase connection
-const SUPABASE_URL = process.env.NEXT_PUBLIC_SUPABASE_URL;
-const SUPABASE_ANON_KEY = process.env.NEXT_PUBLIC_SUPABASE_ANON_KEY;
 // ⚠️ BOT_TOKEN must be set in Vercel environment variables
 const BOT_TOKEN = process.env.BOT_TOKEN;
 
 // ------------------------------------------------------------------
 // Fully secured and defined server-side constants
+// (Economy values such as rewards and limits are admin-editable, see lib/settings.js)
 // ------------------------------------------------------------------
-const REWARD_PER_AD = 3;
-const REFERRAL_COMMISSION_RATE = 0.05;
-const DAILY_MAX_ADS = 100; // Max ads limit
-const DAILY_MAX_SPINS = 15; // Max spins limit
-const RESET_INTERVAL_MS = 6 * 60 * 60 * 1000; // ⬅️ 6 hours in milliseconds
-const MIN_TIME_BETWEEN_ACTIONS_MS = 3000; // 3 seconds minimum time between watchAd/spin requests
 const ACTION_ID_EXPIRY_MS = 60000; // 60 seconds for Action ID to be valid
-const SPIN_SECTORS = [5, 10, 15, 20, 5];
+const REFERRAL_ACTIVE_WINDOW_MS = 7 * 24 * 60 * 60 * 1000; // A referee counts as active if seen in the last 7 days
+const REFERRAL_STATS_PAGE_SIZE = 50;
+const REFERRAL_CHAIN_MAX_DEPTH = 50; // Upper bound when walking ref_by chains for loop detection
+const LEADERBOARD_PAGE_SIZE = 20;
+const LEADERBOARD_MAX_PAGE_SIZE = 100;
+const BINANCE_ID_PATTERN = /^\d{6,12}$/; // Binance Pay ID / UID that withdrawals are paid to
+const AD_VIEW_EXPIRY_MS = 30 * 60 * 1000; // A started ad view must be confirmed by the network within 30 minutes
+const DEFAULT_AD_NETWORK = process.env.DEFAULT_AD_NETWORK || null; // Used when startAdView omits body.network
 
 // ------------------------------------------------------------------
-// NEW Task Constants
+// Withdrawal lifecycle: pending -> approved -> paid, or pending -> rejected (refunded)
 // ------------------------------------------------------------------
-const TASK_REWARD = 50;
-const TELEGRAM_CHANNEL_USERNAME = '@botbababab'; // يجب أن يكون هذا هو اسم المستخدم للقناة لبدء التحقق
+const WITHDRAWAL_ACTION_STATUS = {
+    accept: 'approved',
+    pay: 'paid',
+    reject: 'rejected',
+};
 
+// ------------------------------------------------------------------
+// Ledger entry types (see supabase/migrations/004_ledger.sql)
+// ------------------------------------------------------------------
+const LEDGER_ENTRY = {
+    AD_REWARD: 'ad_reward',
+    SPIN_REWARD: 'spin_reward',
+    TASK_REWARD: 'task_reward',
+    DAILY_BONUS: 'daily_bonus',
+    CONTEST_PRIZE: 'contest_prize',
+    REFERRAL_COMMISSION: 'referral_commission',
+    WITHDRAWAL: 'withdrawal',
+    WITHDRAWAL_REFUND: 'withdrawal_refund',
+    ADMIN_ADJUSTMENT: 'admin_adjustment',
+};
+
+// ------------------------------------------------------------------
+// Admin Constants
+// ------------------------------------------------------------------
+// Comma-separated Telegram ids that are always owners (e.g. "7741750541,123456").
+// Other admins and their roles live in the 'admins' table.
+const ADMIN_USER_IDS = (process.env.ADMIN_USER_IDS || '')
+    .split(',')
+    .map(value => value.trim())
+    .filter(Boolean);
+
+// Permissions granted to each admin role ('*' = everything)
+const ADMIN_ROLE_PERMISSIONS = {
+    owner: ['*'],
+    finance: ['stats:view', 'withdrawals:view', 'withdrawals:manage', 'users:view', 'users:balance', 'tasks:view', 'settings:view', 'contests:view', 'contests:manage', 'audit:view'],
+    moderator: ['stats:view', 'withdrawals:view', 'users:view', 'users:ban', 'tasks:view', 'tasks:manage', 'contests:view'],
+    viewer: ['stats:view', 'withdrawals:view', 'users:view', 'tasks:view', 'contests:view'],
+};
+
+// Permission required by each admin request type (null = any admin role)
+const ADMIN_ROUTE_PERMISSIONS = {
+    getAdminProfile: null,
+    getStats: 'stats:view',
+    getPendingWithdrawals: 'withdrawals:view',
+    adminAction: body => (body.action === 'ban' ? 'users:ban' : 'withdrawals:manage'),
+    getUsers: 'users:view',
+    getUserDetails: 'users:view',
+    updateBalance: 'users:balance',
+    toggleBan: 'users:ban',
+    getSettings: 'settings:view',
+    updateSettings: 'settings:manage',
+    createTask: 'tasks:manage',
+    updateTask: 'tasks:manage',
+    deleteTask: 'tasks:manage',
+    getContests: 'contests:view',
+    createContest: 'contests:manage',
+    contestAction: 'contests:manage',
+    getAuditLog: 'audit:view',
+};
+
+
+// --- Helper Functions ---
+
+function readRequestBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.on('data', chunk => {
+      data += chunk.toString();
+    });
+    req.on('end', () => resolve(data));
+    req.on('error', reject);
+  });
+}
 
 /**
- * Helper function to randomly select a prize from the defined sectors and return its index.
+ * Ad networks post either JSON or form-encoded bodies.
  */
-function calculateRandomSpinPrize() {
-    const randomIndex = Math.floor(Math.random() * SPIN_SECTORS.length);
-    const prize = SPIN_SECTORS[randomIndex];
-    return { prize, prizeIndex: randomIndex };
+function parseCallbackBody(data) {
+  if (!data) return {};
+  if (data.trim().startsWith('{')) return JSON.parse(data);
+  return Object.fromEntries(new URLSearchParams(data).entries());
 }
 
-// --- Helper Functions ---
-
 function sendSuccess(res, data = {}) {
   res.writeHead(200, { 'Content-Type': 'application/json' });
   res.end(JSON.stringify({ ok: true, data }));
@@ -53,48 +134,43 @@ function sendError(res, message, statusCode = 400) {
   res.end(JSON.stringify({ ok: false, error: message }));
 }
 
-async function supabaseFetch(tableName, method, body = null, queryParams = '?select=*') {
-  if (!SUPABASE_URL || !SUPABASE_ANON_KEY) {
-    throw new Error('Supabase environment variables are not configured.');
-  }
-
-  const url = `${SUPABASE_URL}/rest/v1/${tableName}${queryParams}`;
-
-  const headers = {
-    'apikey': SUPABASE_ANON_KEY,
-    'Authorization': `Bearer ${SUPABASE_ANON_KEY}`,
-    'Content-Type': 'application/json',
-    'Prefer': 'return=representation'
-  };
-
-  const options = {
-    method,
-    headers,
-    body: body ? JSON.stringify(body) : null,
-  };
-
-  const response = await fetch(url, options);
-
-  if (response.ok) {
-      const responseText = await response.text();
-      try {
-          const jsonResponse = JSON.parse(responseText);
-          return Array.isArray(jsonResponse) ? jsonResponse : { success: true };
-      } catch (e) {
-          return { success: true };
-      }
-  }
+function sendRateLimited(res, retryAfterMs) {
+  const seconds = Math.max(Math.ceil(retryAfterMs / 1000), 1);
+  res.writeHead(429, { 'Content-Type': 'application/json', 'Retry-After': String(seconds) });
+  res.end(JSON.stringify({ ok: false, error: `Rate limit exceeded. Please wait ${seconds} seconds before the next action.`, retry_after_ms: retryAfterMs }));
+}
 
-  let data;
-  try {
-      data = await response.json();
-  } catch (e) {
-      const errorMsg = `Supabase error: ${response.status} ${response.statusText}`;
-      throw new Error(errorMsg);
-  }
+/**
+ * Atomically credits (amount > 0) or debits (amount < 0) a user and appends the ledger entry.
+ * The reference points at the source event (e.g. { type: 'spin_result', id: 42 }).
+ * Resolves to { ledger_id, new_balance }; throws 'Insufficient balance.' on overdraft.
+ */
+async function applyBalanceChange(userId, amount, entryType, reference = {}, actorId = null) {
+    return storage.rpc('apply_balance_change', {
+        p_user_id: userId,
+        p_amount: amount,
+        p_entry_type: entryType,
+        p_reference_type: reference.type || null,
+        p_reference_id: reference.id !== undefined && reference.id !== null ? String(reference.id) : null,
+        p_actor_id: actorId
+    });
+}
 
-  const errorMsg = data.message || `Supabase error: ${response.status} ${response.statusText}`;
-  throw new Error(errorMsg);
+/**
+ * Credits an ad or spin reward if the user's counter ('ads' or 'spins') is still below `max`:
+ * the cap check, the counter increment and the ledger credit run in one transaction.
+ * Resolves to { allowed, new_count, new_balance }; allowed is false (and nothing changes) at the cap.
+ */
+async function creditCappedReward(userId, counter, max, amount, entryType, reference = {}) {
+    return storage.rpc('credit_capped_reward', {
+        p_user_id: userId,
+        p_counter: counter,
+        p_max: max,
+        p_amount: amount,
+        p_entry_type: entryType,
+        p_reference_type: reference.type || null,
+        p_reference_id: reference.id !== undefined && reference.id !== null ? String(reference.id) : null
+    });
 }
 
 /**
@@ -141,95 +217,43 @@ async function checkChannelMembership(userId, channelUsername) {
 
 
 /**
- * Limit-Based Reset Logic: Resets counters if the limit was reached AND the interval (6 hours) has passed since.
- * ⚠️ هذا هو التعديل الرئيسي: يعتمد على أعمدة الوصول للحد الأقصى وليس على آخر نشاط عام.
+ * Extracts the channel username from a task link.
+ * Accepts https://t.me/name, t.me/name and @name; private invite links cannot be verified.
  */
-async function resetDailyLimitsIfExpired(userId) {
-    const now = Date.now();
-
-    try {
-        // 1. Fetch current limits and the time they were reached
-        const users = await supabaseFetch('users', 'GET', null, `?id=eq.${userId}&select=ads_watched_today,spins_today,ads_limit_reached_at,spins_limit_reached_at`);
-        if (!Array.isArray(users) || users.length === 0) {
-            return;
-        }
-
-        const user = users[0];
-        const updatePayload = {};
-
-        // 2. Check Ads Limit Reset
-        if (user.ads_limit_reached_at && user.ads_watched_today >= DAILY_MAX_ADS) {
-            const adsLimitTime = new Date(user.ads_limit_reached_at).getTime();
-            if (now - adsLimitTime > RESET_INTERVAL_MS) {
-                // ⚠️ تم مرور 6 ساعات على الوصول للحد الأقصى، يتم إعادة التعيين
-                updatePayload.ads_watched_today = 0;
-                updatePayload.ads_limit_reached_at = null; // إزالة الوقت لانتهاء فترة القفل
-                console.log(`Ads limit reset for user ${userId}.`);
-            }
-        }
-
-        // 3. Check Spins Limit Reset
-        if (user.spins_limit_reached_at && user.spins_today >= DAILY_MAX_SPINS) {
-            const spinsLimitTime = new Date(user.spins_limit_reached_at).getTime();
-            if (now - spinsLimitTime > RESET_INTERVAL_MS) {
-                // ⚠️ تم مرور 6 ساعات على الوصول للحد الأقصى، يتم إعادة التعيين
-                updatePayload.spins_today = 0;
-                updatePayload.spins_limit_reached_at = null; // إزالة الوقت لانتهاء فترة القفل
-                console.log(`Spins limit reset for user ${userId}.`);
-            }
-        }
-
-        // 4. Perform the database update if any limits were reset
-        if (Object.keys(updatePayload).length > 0) {
-            await supabaseFetch('users', 'PATCH',
-                updatePayload,
-                `?id=eq.${userId}`);
-        }
-    } catch (error) {
-        console.error(`Failed to check/reset daily limits for user ${userId}:`, error.message);
-    }
+function extractChannelUsername(link) {
+    if (!link) return null;
+    const match = String(link).trim().match(/^(?:@|(?:https?:\/\/)?(?:www\.)?(?:t|telegram)\.me\/)([A-Za-z][A-Za-z0-9_]{3,31})\/?$/);
+    return match ? `@${match[1]}` : null;
 }
 
+
 /**
- * Rate Limiting Check for Ad/Spin Actions
- * ⚠️ تم تعديلها: لم تعد تحدث last_activity، بل فقط تفحص الفارق الزمني الأخير
+ * Brings the user's ad and spin counters up to date with the limit_reset_policy setting
+ * (see lib/dailyLimits.js). Returns the counters with their next_reset_at, or null on failure:
+ * a failed reset must not block the action, the stored counters still apply.
  */
-async function checkRateLimit(userId) {
+async function resetDailyLimitsIfExpired(userId) {
     try {
-        const users = await supabaseFetch('users', 'GET', null, `?id=eq.${userId}&select=last_activity`);
-        if (!Array.isArray(users) || users.length === 0) {
-            return { ok: true };
-        }
-
-        const user = users[0];
-        // إذا كان last_activity غير موجود، يمكن اعتباره 0 لضمان السماح بالمرور
-        const lastActivity = user.last_activity ? new Date(user.last_activity).getTime() : 0; 
-        const now = Date.now();
-        const timeElapsed = now - lastActivity;
-
-        if (timeElapsed < MIN_TIME_BETWEEN_ACTIONS_MS) {
-            const remainingTime = MIN_TIME_BETWEEN_ACTIONS_MS - timeElapsed;
-            return {
-                ok: false,
-                message: `Rate limit exceeded. Please wait ${Math.ceil(remainingTime / 1000)} seconds before the next action.`,
-                remainingTime: remainingTime
-            };
-        }
-        // تحديث last_activity سيتم لاحقاً في دوال watchAd/spinResult
-        return { ok: true };
+        return await refreshDailyLimits(userId, await getSettings());
     } catch (error) {
-        console.error(`Rate limit check failed for user ${userId}:`, error.message);
-        return { ok: true };
+        console.error(`Failed to check/reset daily limits for user ${userId}:`, error.message);
+        return null;
     }
 }
 
 // ------------------------------------------------------------------
-// **initData Security Validation Function** (No change)
+// **initData Security Validation Function**
 // ------------------------------------------------------------------
-function validateInitData(initData) {
+/**
+ * Verifies the Mini App initData signature and age, and returns the signed data:
+ * { user, auth_date, start_param }, where user is the Telegram user object (id, username,
+ * first_name, language_code, ...). Returns null when the check fails or there is no user.
+ * This is the only trusted source of the caller's identity.
+ */
+function verifyInitData(initData) {
     if (!initData || !BOT_TOKEN) {
         console.warn('Security Check Failed: initData or BOT_TOKEN is missing.');
-        return false;
+        return null;
     }
 
     const urlParams = new URLSearchParams(initData);
@@ -251,13 +275,13 @@ function validateInitData(initData) {
 
     if (calculatedHash !== hash) {
         console.warn(`Security Check Failed: Hash mismatch.`);
-        return false;
+        return null;
     }
 
     const authDateParam = urlParams.get('auth_date');
     if (!authDateParam) {
         console.warn('Security Check Failed: auth_date is missing.');
-        return false;
+        return null;
     }
 
     const authDate = parseInt(authDateParam) * 1000;
@@ -266,49 +290,242 @@ function validateInitData(initData) {
 
     if (currentTime - authDate > expirationTime) {
         console.warn(`Security Check Failed: Data expired.`);
-        return false;
+        return null;
+    }
+
+    let user;
+    try {
+        user = JSON.parse(urlParams.get('user'));
+    } catch (e) {
+        user = null;
+    }
+    if (!user || !parseInt(user.id)) {
+        console.warn('Security Check Failed: user is missing from initData.');
+        return null;
+    }
+
+    return {
+        user: { ...user, id: parseInt(user.id) },
+        auth_date: authDate,
+        start_param: urlParams.get('start_param') || null
+    };
+}
+
+/**
+ * Resolves the admin role of a user: env-configured owners first, then the 'admins' table.
+ * The id must come from validated initData, never from the body. Returns null for non-admins.
+ */
+async function getAdminRole(userId) {
+    if (!userId) return null;
+    if (ADMIN_USER_IDS.includes(String(userId))) return 'owner';
+
+    try {
+        const admins = await storage.select('admins', { where: { user_id: userId }, columns: ['role'] });
+        const role = Array.isArray(admins) && admins.length > 0 ? admins[0].role : null;
+        return ADMIN_ROLE_PERMISSIONS[role] ? role : null;
+    } catch (error) {
+        console.error(`Admin role lookup failed for user ${userId}:`, error.message);
+        return null;
+    }
+}
+
+function hasAdminPermission(role, permission) {
+    const permissions = ADMIN_ROLE_PERMISSIONS[role];
+    if (!permissions) return false;
+    return !permission || permissions.includes('*') || permissions.includes(permission);
+}
+
+/**
+ * Audit entry for an admin route: actor and role come from the authorization check,
+ * the reason from body.reason unless given.
+ */
+function auditAdminAction(req, body, { action, targetId = null, before = null, after = null, reason = body.reason }) {
+    return recordAudit({ actorId: body.admin_id, actorRole: body.admin_role, action, targetId, before, after, reason, ip: getClientIp(req) });
+}
+
+// ------------------------------------------------------------------
+// 🛡️ Referral Validation & Qualification
+// ------------------------------------------------------------------
+/**
+ * Referral codes are the referrer's user id, optionally prefixed: "42", "ref42" or "ref_42".
+ * Returns the id or NaN.
+ */
+function parseReferralCode(code) {
+    const match = /^(?:ref_?)?(\d+)$/i.exec(String(code).trim());
+    return match ? parseInt(match[1]) : NaN;
+}
+
+/**
+ * Checks a referral link before it is stored on a new user.
+ * Returns { referrerId } when valid, or { referrerId: null, reason } when it must be ignored:
+ * self-referral, unknown or banned referrer, or a referrer whose own chain leads back to the user.
+ */
+async function validateReferrer(userId, refBy) {
+    if (refBy === undefined || refBy === null || refBy === '') {
+        return { referrerId: null, reason: null };
+    }
+
+    const referrerId = parseReferralCode(refBy);
+    if (isNaN(referrerId)) {
+        return { referrerId: null, reason: 'Invalid referrer id.' };
+    }
+    if (referrerId === userId) {
+        return { referrerId: null, reason: 'Users cannot refer themselves.' };
+    }
+
+    const referrers = await storage.select('users', { where: { id: referrerId }, columns: ['id', 'is_banned'] });
+    if (!Array.isArray(referrers) || referrers.length === 0) {
+        return { referrerId: null, reason: 'Referrer does not exist.' };
+    }
+    if (referrers[0].is_banned) {
+        return { referrerId: null, reason: 'Referrer is banned.' };
+    }
+
+    // Walk the referrer's own chain: reaching userId (or any repeat) would create a loop
+    const visited = new Set([String(referrerId)]);
+    let currentId = referrerId;
+    for (let depth = 0; depth < REFERRAL_CHAIN_MAX_DEPTH && currentId; depth++) {
+        const rows = await storage.select('users', { where: { id: currentId }, columns: ['referrer_id:ref_by'] });
+        const nextId = Array.isArray(rows) && rows.length > 0 ? rows[0].referrer_id : null;
+        if (!nextId) break;
+        if (String(nextId) === String(userId) || visited.has(String(nextId))) {
+            return { referrerId: null, reason: 'Referral would create a loop.' };
+        }
+        visited.add(String(nextId));
+        currentId = nextId;
     }
 
+    return { referrerId, reason: null };
+}
+
+/**
+ * Measures a referee's progress towards the qualification thresholds from their ad ledger entries.
+ * Accepts several user ids so the referral list can be built with one query.
+ * Returns { [userId]: { ads, active_days, qualifies } }.
+ */
+async function getReferralProgress(userIds, settings) {
+    const progress = {};
+    userIds.forEach(userId => { progress[userId] = { ads: 0, active_days: 0, qualifies: false }; });
+    if (userIds.length === 0) return progress;
+
+    const entries = await storage.select('ledger', {
+        where: { user_id: userIds, entry_type: LEDGER_ENTRY.AD_REWARD },
+        columns: ['user_id', 'created_at']
+    });
+
+    const days = {};
+    (entries || []).forEach(entry => {
+        const userProgress = progress[entry.user_id];
+        if (!userProgress) return;
+        userProgress.ads += 1;
+        (days[entry.user_id] = days[entry.user_id] || new Set()).add(String(entry.created_at).slice(0, 10));
+    });
+
+    Object.entries(progress).forEach(([userId, userProgress]) => {
+        userProgress.active_days = days[userId] ? days[userId].size : 0;
+        userProgress.qualifies = userProgress.ads >= settings.referral_min_ads && userProgress.active_days >= settings.referral_min_active_days;
+    });
+    return progress;
+}
+
+/**
+ * True when the referee's referral is qualified to pay commission.
+ * Qualification is checked lazily on the referee's reward events and stored once reached.
+ */
+async function ensureReferralQualified(refereeId) {
+    const users = await storage.select('users', { where: { id: refereeId }, columns: ['referral_qualified_at'] });
+    if (!Array.isArray(users) || users.length === 0) return false;
+    if (users[0].referral_qualified_at) return true;
+
+    const settings = await getSettings();
+    const progress = (await getReferralProgress([refereeId], settings))[refereeId];
+    if (!progress.qualifies) return false;
+
+    const qualified = await storage.update('users', { id: refereeId, referral_qualified_at: null }, { referral_qualified_at: new Date().toISOString() }, { columns: ['ref_by'] });
+    if (Array.isArray(qualified) && qualified.length > 0) {
+        console.log(`Referral of user ${refereeId} qualified (${progress.ads} ads over ${progress.active_days} days).`);
+        if (qualified[0].ref_by) {
+            await notify(qualified[0].ref_by, 'referral_qualified');
+        }
+    }
     return true;
 }
 
 // ------------------------------------------------------------------
-// 🔑 Commission Helper Function (No change)
+// 🔑 Commission Helper Function (internal only, no client route)
 // ------------------------------------------------------------------
 /**
- * Processes the commission for the referrer and updates their balance.
+ * Pays referral commissions up the ref_by chain, starting at the direct referrer (level 1).
+ * Nothing is paid until the earning referee's referral is qualified (see ensureReferralQualified).
+ * Each level gets sourceReward * referral_commission_tiers[level - 1]; banned referrers are
+ * skipped but the chain continues above them. The walk stops at a loop or the end of the chain.
+ * sourceEvent is the server-side reward event ({ type, id }) and acts as the idempotency key:
+ * the same event can never pay the same referrer twice.
  */
-async function processCommission(referrerId, refereeId, sourceReward) {
-    // 1. Calculate commission
-    const commissionAmount = sourceReward * REFERRAL_COMMISSION_RATE; 
-    
-    if (commissionAmount < 0.000001) { 
-        console.log(`Commission too small (${commissionAmount}). Aborted for referee ${refereeId}.`);
-        return { ok: false, error: 'Commission amount is effectively zero.' };
+async function processCommission(referrerId, refereeId, sourceReward, sourceEvent) {
+    if (!sourceEvent || !sourceEvent.type || sourceEvent.id === undefined || sourceEvent.id === null) {
+        return { ok: false, error: 'Commission requires a source reward event.' };
     }
 
+    const { referral_commission_tiers: tiers } = await getSettings();
+    const paid = [];
+    const visited = new Set([String(refereeId)]);
+    let currentReferrerId = referrerId;
+
     try {
-        // 2. Fetch referrer's current balance and status
-        const users = await supabaseFetch('users', 'GET', null, `?id=eq.${referrerId}&select=balance,is_banned`);
-        if (!Array.isArray(users) || users.length === 0 || users[0].is_banned) {
-             console.log(`Referrer ${referrerId} not found or banned. Commission aborted.`);
-             return { ok: false, error: 'Referrer not found or banned, commission aborted.' };
+        if (!await ensureReferralQualified(refereeId)) {
+            return { ok: false, paid, error: 'Referral not qualified yet.' };
         }
-        
-        // 3. Update balance: newBalance will now include the decimal commission
-        const newBalance = users[0].balance + commissionAmount;
-        
-        // 4. Update referrer balance
-        await supabaseFetch('users', 'PATCH', { balance: newBalance }, `?id=eq.${referrerId}`); 
 
-        // 5. Add record to commission_history
-        await supabaseFetch('commission_history', 'POST', { referrer_id: referrerId, referee_id: refereeId, amount: commissionAmount, source_reward: sourceReward }, '?select=referrer_id');
-        
-        return { ok: true, new_referrer_balance: newBalance };
+        for (let level = 1; level <= tiers.length && currentReferrerId; level++) {
+            if (visited.has(String(currentReferrerId))) {
+                console.warn(`Referral loop at ${currentReferrerId} above referee ${refereeId}. Commission walk stopped.`);
+                break;
+            }
+            visited.add(String(currentReferrerId));
+
+            // 1. Fetch this referrer's status and their own referrer (the next level)
+            const users = await storage.select('users', { where: { id: currentReferrerId }, columns: ['is_banned', 'referrer_id:ref_by'] });
+            if (!Array.isArray(users) || users.length === 0) {
+                console.log(`Referrer ${currentReferrerId} not found. Commission walk stopped.`);
+                break;
+            }
+            const referrer = users[0];
+
+            // 2. Calculate commission for this level
+            const commissionAmount = sourceReward * tiers[level - 1];
+
+            if (referrer.is_banned) {
+                console.log(`Referrer ${currentReferrerId} is banned. Level ${level} commission skipped.`);
+            } else if (commissionAmount < 0.000001) {
+                console.log(`Commission too small (${commissionAmount}) at level ${level} for referee ${refereeId}.`);
+            } else {
+                // 3. Record the commission and credit the referrer in one transaction (pay_commission DB function)
+                const payout = await storage.rpc('pay_commission', {
+                    p_referrer_id: currentReferrerId,
+                    p_referee_id: refereeId,
+                    p_amount: commissionAmount,
+                    p_source_reward: sourceReward,
+                    p_source_type: sourceEvent.type,
+                    p_source_id: String(sourceEvent.id),
+                    p_level: level
+                });
+
+                if (payout) {
+                    paid.push({ level, referrer_id: currentReferrerId, amount: commissionAmount, new_referrer_balance: payout.new_balance });
+                } else {
+                    console.log(`Commission for ${sourceEvent.type}:${sourceEvent.id} already paid to referrer ${currentReferrerId}.`);
+                }
+            }
+
+            currentReferrerId = referrer.referrer_id;
+        }
+
+        return { ok: paid.length > 0, paid };
     
     } catch (error) {
         console.error('Commission failed:', error.message);
-        return { ok: false, error: `Commission failed: ${error.message}` };
+        return { ok: false, paid, error: `Commission failed: ${error.message}` };
     }
 }
 
@@ -338,7 +555,7 @@ async function handleGenerateActionId(req, res, body) {
     
     // Check if the user already has an unexpired ID for this action type
     try {
-        const existingIds = await supabaseFetch('temp_actions', 'GET', null, `?user_id=eq.${id}&action_type=eq.${action_type}&select=action_id,created_at`);
+        const existingIds = await storage.select('temp_actions', { where: { user_id: id, action_type }, columns: ['action_id', 'created_at'] });
         
         if (Array.isArray(existingIds) && existingIds.length > 0) {
             const lastIdTime = new Date(existingIds[0].created_at).getTime();
@@ -347,7 +564,7 @@ async function handleGenerateActionId(req, res, body) {
                 return sendSuccess(res, { action_id: existingIds[0].action_id });
             } else {
                  // Clean up expired ID before creating a new one
-                 await supabaseFetch('temp_actions', 'DELETE', null, `?user_id=eq.${id}&action_type=eq.${action_type}`);
+                 await storage.remove('temp_actions', { user_id: id, action_type });
             }
         }
     } catch(e) {
@@ -358,9 +575,9 @@ async function handleGenerateActionId(req, res, body) {
     const newActionId = generateStrongId();
     
     try {
-        await supabaseFetch('temp_actions', 'POST',
+        await storage.insert('temp_actions',
             { user_id: id, action_id: newActionId, action_type: action_type },
-            '?select=action_id');
+            { columns: ['action_id'] });
             
         sendSuccess(res, { action_id: newActionId });
     } catch (error) {
@@ -380,8 +597,10 @@ async function validateAndUseActionId(res, userId, actionId, actionType) {
     }
     
     try {
-        const query = `?user_id=eq.${userId}&action_id=eq.${actionId}&action_type=eq.${actionType}&select=id,created_at`;
-        const records = await supabaseFetch('temp_actions', 'GET', null, query);
+        const records = await storage.select('temp_actions', {
+            where: { user_id: userId, action_id: actionId, action_type: actionType },
+            columns: ['id', 'created_at']
+        });
         
         if (!Array.isArray(records) || records.length === 0) {
             sendError(res, 'Invalid or previously used Server Token (Action ID).', 409); 
@@ -393,13 +612,13 @@ async function validateAndUseActionId(res, userId, actionId, actionType) {
         
         // 1. Check Expiration (60 seconds)
         if (Date.now() - recordTime > ACTION_ID_EXPIRY_MS) {
-            await supabaseFetch('temp_actions', 'DELETE', null, `?id=eq.${record.id}`);
+            await storage.remove('temp_actions', { id: record.id });
             sendError(res, 'Server Token (Action ID) expired. Please try again.', 408); 
             return false;
         }
 
         // 2. Use the token: Delete it to prevent reuse
-        await supabaseFetch('temp_actions', 'DELETE', null, `?id=eq.${record.id}`);
+        await storage.remove('temp_actions', { id: record.id });
 
         return true;
 
@@ -424,20 +643,24 @@ async function handleGetUserData(req, res, body) {
     const id = parseInt(user_id);
 
     try {
-        // 1. Check and reset daily limits (if 6 hours passed since limit reached)
-        await resetDailyLimitsIfExpired(id);
+        // 1. Check and reset daily limits (per the reset policy)
+        const limits = await resetDailyLimitsIfExpired(id);
 
         // 2. Fetch user data (FIXED: Using referrer_id:ref_by alias)
-        const users = await supabaseFetch('users', 'GET', null, `?id=eq.${id}&select=balance,ads_watched_today,spins_today,is_banned,referrer_id:ref_by,ads_limit_reached_at,spins_limit_reached_at,task_completed`);
+        const users = await storage.select('users', {
+            where: { id },
+            columns: ['balance', 'ads_watched_today', 'spins_today', 'is_banned', 'referrer_id:ref_by', 'ads_limit_reached_at', 'spins_limit_reached_at',
+                'daily_bonus_streak', 'daily_bonus_last_claim_date']
+        });
 
-        if (!users || users.length === 0 || users.success) {
+        if (!users || users.length === 0) {
             return sendSuccess(res, {
-                balance: 0, ads_watched_today: 0, spins_today: 0, referrals_count: 0, withdrawal_history: [], is_banned: false, task_completed: false
+                balance: 0, ads_watched_today: 0, spins_today: 0, referrals_count: 0, withdrawal_history: [], is_banned: false
             });
         }
 
         // ⚠️ NOTE: The referrer ID is now accessed via userData.referrer_id
-        const userData = users[0];
+        const { daily_bonus_streak, daily_bonus_last_claim_date, ...userData } = users[0];
 
         // 3. Banned Check - Exit immediately if banned
         if (userData.is_banned) {
@@ -445,23 +668,36 @@ async function handleGetUserData(req, res, body) {
         }
 
 
-        // 4. Fetch referrals count
-        const referrals = await supabaseFetch('users', 'GET', null, `?ref_by=eq.${id}&select=id`);
-        const referralsCount = Array.isArray(referrals) ? referrals.length : 0;
+        // 4. Fetch referrals count (pending = not yet qualified to pay commission)
+        const referralsCount = await storage.count('users', { where: { ref_by: id } });
+        const pendingReferralsCount = await storage.count('users', { where: { ref_by: id, referral_qualified_at: null } });
 
         // 5. Fetch withdrawal history
-        const history = await supabaseFetch('withdrawals', 'GET', null, `?user_id=eq.${id}&select=amount,status,created_at&order=created_at.desc`);
+        const history = await storage.select('withdrawals', {
+            where: { user_id: id },
+            columns: ['id', 'amount', 'status', 'created_at', 'approved_at', 'paid_at', 'payout_reference', 'rejected_at', 'rejection_reason'],
+            order: { column: 'created_at', ascending: false }
+        });
         const withdrawalHistory = Array.isArray(history) ? history : [];
 
-        // 6. Update last_activity (only for Rate Limit purposes now)
-        await supabaseFetch('users', 'PATCH',
-            { last_activity: new Date().toISOString() },
-            `?id=eq.${id}&select=id`);
+        // 6. Update last_activity (activity only; rate limits use their own buckets)
+        await storage.update('users', { id }, { last_activity: new Date().toISOString() });
+
+        // 7. The active wheel, so the client draws the same sectors prize_index refers to
+        const settings = await getSettings();
 
         sendSuccess(res, {
             ...userData,
             referrals_count: referralsCount,
-            withdrawal_history: withdrawalHistory
+            pending_referrals_count: pendingReferralsCount,
+            withdrawal_history: withdrawalHistory,
+            spin_wheel: publicWheel(settings.spin_wheel),
+            reset_policy: settings.limit_reset_policy,
+            next_reset_at: {
+                ads: limits ? limits.ads.next_reset_at : null,
+                spins: limits ? limits.spins.next_reset_at : null
+            },
+            daily_bonus: getDailyBonusState({ daily_bonus_streak, daily_bonus_last_claim_date }, settings.daily_bonus_rewards)
         });
 
     } catch (error) {
@@ -470,48 +706,234 @@ async function handleGetUserData(req, res, body) {
     }
 }
 
+/**
+ * HANDLER: type: "getReferralStats"
+ * The caller's direct referees (newest first, paginated with limit/offset) with join date,
+ * activity, qualification status (pending referees include their progress) and the level 1
+ * commission earned from each, plus commission totals per level.
+ */
+async function handleGetReferralStats(req, res, body) {
+    const { user_id } = body;
+    const id = parseInt(user_id);
+    const limit = Math.min(Math.max(parseInt(body.limit) || REFERRAL_STATS_PAGE_SIZE, 1), REFERRAL_STATS_PAGE_SIZE);
+    const offset = Math.max(parseInt(body.offset) || 0, 0);
+
+    try {
+        const settings = await getSettings();
+        const tiers = settings.referral_commission_tiers;
+
+        // 1. Direct referees (one page), the total count and how many of them qualified
+        const [referees, referralsCount, pendingCount] = await Promise.all([
+            storage.select('users', {
+                where: { ref_by: id },
+                columns: ['id', 'created_at', 'last_activity', 'is_banned', 'referral_qualified_at'],
+                order: { column: 'created_at', ascending: false },
+                limit,
+                offset
+            }),
+            storage.count('users', { where: { ref_by: id } }),
+            storage.count('users', { where: { ref_by: id, referral_qualified_at: null } })
+        ]);
+
+        const pendingIds = (referees || []).filter(r => !r.referral_qualified_at).map(r => r.id);
+        const progress = await getReferralProgress(pendingIds, settings);
+
+        // 2. Commission paid to the caller per level, and the level 1 commission from each referee on the page
+        const [levelTotals, refereeTotals] = await Promise.all([
+            storage.select('commission_level_totals', { where: { referrer_id: id }, columns: ['level', 'commission', 'payouts'] }),
+            (referees || []).length > 0
+                ? storage.select('commission_referee_totals', { where: { referrer_id: id, level: 1, referee_id: referees.map(r => r.id) }, columns: ['referee_id', 'commission'] })
+                : []
+        ]);
+
+        const earnedByReferee = {};
+        (refereeTotals || []).forEach(total => { earnedByReferee[total.referee_id] = Number(total.commission) || 0; });
+
+        const levels = tiers.map((rate, index) => ({ level: index + 1, rate, commission: 0, payouts: 0 }));
+        let totalCommission = 0;
+
+        (levelTotals || []).forEach(total => {
+            const level = Number(total.level) || 1;
+            const amount = Number(total.commission) || 0;
+            totalCommission += amount;
+
+            let levelStats = levels.find(l => l.level === level);
+            if (!levelStats) {
+                // Level no longer configured (tiers were shortened) but still earned in the past
+                levelStats = { level, rate: 0, commission: 0, payouts: 0 };
+                levels.push(levelStats);
+            }
+            levelStats.commission += amount;
+            levelStats.payouts += Number(total.payouts) || 0;
+        });
+
+        const now = Date.now();
+        sendSuccess(res, {
+            referrals_count: referralsCount,
+            qualified_count: referralsCount - pendingCount,
+            pending_count: pendingCount,
+            qualification: { min_ads: settings.referral_min_ads, min_active_days: settings.referral_min_active_days },
+            total_commission: totalCommission,
+            levels: levels.sort((a, b) => a.level - b.level),
+            referees: (referees || []).map(referee => ({
+                id: referee.id,
+                joined_at: referee.created_at || null,
+                last_activity: referee.last_activity || null,
+                is_active: !!referee.last_activity && now - new Date(referee.last_activity).getTime() < REFERRAL_ACTIVE_WINDOW_MS,
+                is_banned: !!referee.is_banned,
+                status: referee.referral_qualified_at ? 'qualified' : 'pending',
+                qualified_at: referee.referral_qualified_at || null,
+                progress: referee.referral_qualified_at ? null : { ads: progress[referee.id].ads, active_days: progress[referee.id].active_days },
+                commission_earned: earnedByReferee[referee.id] || 0
+            })),
+            limit,
+            offset
+        });
+    } catch (error) {
+        console.error('GetReferralStats failed:', error.message);
+        sendError(res, `Failed to load referral stats: ${error.message}`, 500);
+    }
+}
+
 
 /**
- * 1) type: "register"
- * ⚠️ Fix: Includes task_completed: false for new users.
+ * Profile columns kept from a Telegram user object (initData user or a bot message's `from`).
  */
-async function handleRegister(req, res, body) {
-  const { user_id, ref_by } = body;
-  const id = parseInt(user_id);
+function telegramProfile(user) {
+    return {
+        username: user && user.username ? String(user.username) : null,
+        first_name: user && user.first_name ? String(user.first_name) : null,
+        language_code: user && user.language_code ? String(user.language_code) : null,
+    };
+}
 
-  try {
+/**
+ * Creates the user if needed (shared by the register route and the bot's /start).
+ * `profile` comes from telegramProfile(); existing users get it refreshed (usernames change).
+ * `startParam` is the start parameter the user arrived with; it is stored on new users only.
+ * Returns { status: 'created' | 'exists' | 'banned', referral }; referral is only set for new users.
+ */
+async function registerUser(id, refBy, profile = {}, startParam = null) {
     // 1. Check if user exists
-    const users = await supabaseFetch('users', 'GET', null, `?id=eq.${id}&select=id,is_banned`);
+    const users = await storage.select('users', { where: { id }, columns: ['id', 'is_banned'] });
 
-    if (!Array.isArray(users) || users.length === 0) {
-      // 2. User does not exist, create new user
-      const newUser = {
+    if (Array.isArray(users) && users.length > 0) {
+        await storage.update('users', { id }, profile);
+        return { status: users[0].is_banned ? 'banned' : 'exists', referral: null };
+    }
+
+    // 2. Validate the referral link; an invalid one is dropped, registration still succeeds
+    const { referrerId, reason } = await validateReferrer(id, refBy);
+    if (reason) {
+        console.warn(`Referral ${refBy} rejected for new user ${id}: ${reason}`);
+    }
+
+    // 3. User does not exist, create new user
+    const newUser = {
         id,
         balance: 0,
         ads_watched_today: 0,
         spins_today: 0,
-        ref_by: ref_by ? parseInt(ref_by) : null,
-        last_activity: new Date().toISOString(), // ⬅️ يبقى هنا للـ Rate Limit فقط
+        ref_by: referrerId,
+        last_activity: new Date().toISOString(), // ⬅️ آخر نشاط (لإحصاءات الإحالات)
         is_banned: false,
-        task_completed: false, // ⬅️ NEW: Default value for the task
+        ...profile,
+        start_param: startParam,
         // الأعمدة الجديدة ستحتوي على NULL بشكل افتراضي
-      };
-      await supabaseFetch('users', 'POST', newUser, '?select=id');
-    } else {
-        if (users[0].is_banned) {
-             return sendError(res, 'User is banned.', 403);
-        }
+    };
+    await storage.insert('users', newUser, { columns: ['id'] });
+
+    return { status: 'created', referral: { accepted: !!referrerId, reason } };
+}
+
+/**
+ * 1) type: "register"
+ */
+async function handleRegister(req, res, body) {
+  const { user_id, ref_by, auth } = body;
+  const id = parseInt(user_id);
+
+  // Referral from a startapp link (t.me/<bot>/<app>?startapp=ref_42) first, body.ref_by otherwise
+  const startParam = auth.start_param;
+  const refBy = startParam && !isNaN(parseReferralCode(startParam)) ? startParam : ref_by;
+
+  try {
+    const { status, referral } = await registerUser(id, refBy, telegramProfile(auth.user), startParam);
+    if (status === 'banned') {
+        return sendError(res, 'User is banned.', 403);
     }
 
-    sendSuccess(res, { message: 'User registered or already exists.' });
+    sendSuccess(res, { message: 'User registered or already exists.', referral });
   } catch (error) {
     console.error('Registration failed:', error.message);
     sendError(res, `Registration failed: ${error.message}`, 500);
   }
 }
 
+/**
+ * Credits one watched ad: checks the ban, then increments the ad counter and credits the
+ * reward in one step (credit_capped_reward, which refuses at the daily limit) and pays referral
+ * commission keyed by the same ad event.
+ * Shared by the client-claimed path (watchAd) and verified network callbacks.
+ * Returns { ok: true, new_balance, actual_reward, new_ads_count } or { ok: false, status, error }.
+ */
+async function creditAdReward(id, adEvent) {
+    const settings = await getSettings();
+    const reward = settings.reward_per_ad;
+
+    // 1. Check and reset daily limits (per the reset policy)
+    await resetDailyLimitsIfExpired(id);
+
+    // 2. Fetch current user data (FIXED: Using referrer_id:ref_by alias)
+    const users = await storage.select('users', { where: { id }, columns: ['is_banned', 'referrer_id:ref_by'] });
+    if (!Array.isArray(users) || users.length === 0) {
+        return { ok: false, status: 404, error: 'User not found.' };
+    }
+    
+    const user = users[0];
+    // ⚠️ FIXED: Accessing the aliased column
+    const referrerId = user.referrer_id; 
+
+    // 3. Banned Check
+    if (user.is_banned) {
+        return { ok: false, status: 403, error: 'User is banned.' };
+    }
+
+    // 4. Check the ad limit, update the counters and credit the reward through the ledger, atomically
+    const credit = await creditCappedReward(id, 'ads', settings.daily_max_ads, reward, LEDGER_ENTRY.AD_REWARD, adEvent);
+    if (!credit.allowed) {
+        return { ok: false, status: 403, error: `Daily ad limit (${settings.daily_max_ads}) reached.` };
+    }
+
+    // 5. Commission Call (keyed by the same ad event)
+    if (referrerId) {
+        await processCommission(referrerId, id, reward, adEvent);
+    }
+
+    return { ok: true, new_balance: credit.new_balance, actual_reward: reward, new_ads_count: credit.new_count };
+}
+
+/**
+ * Resolves body.network for startAdView: it must be a configured network that confirms
+ * views by callback.
+ */
+function resolveAdNetwork(name) {
+    const networkName = name || DEFAULT_AD_NETWORK;
+    const network = networkName ? getAdNetwork(networkName) : null;
+    if (!network) {
+        return { ok: false, error: networkName ? `Unknown ad network: ${networkName}.` : 'network is required.' };
+    }
+    if (!network.callback) {
+        return { ok: false, error: `Ad network ${network.name} has no callback.` };
+    }
+    return { ok: true, name: network.name };
+}
+
 /**
  * 2) type: "watchAd"
+ * Client-claimed ad reward. Only open while no callback network is configured; the network
+ * the client names is not consulted (otherwise naming a network without callback would skip
+ * the postback). With callback networks, ads go through startAdView + the network postback.
  * ⚠️ Fix Applied:
  * 1. Updates ads_limit_reached_at when the limit is hit.
  * 2. Using 'referrer_id:ref_by' alias in select and accessing 'user.referrer_id'.
@@ -519,67 +941,21 @@ async function handleRegister(req, res, body) {
 async function handleWatchAd(req, res, body) {
     const { user_id, action_id } = body;
     const id = parseInt(user_id);
-    const reward = REWARD_PER_AD;
+
+    if (hasCallbackNetworks()) {
+        return sendError(res, 'Ads are credited by the ad network callback. Use startAdView.', 403);
+    }
 
     // 1. Check and Consume Action ID (Security Check)
     if (!await validateAndUseActionId(res, id, action_id, 'watchAd')) return;
 
     try {
-        // 2. Check and reset daily limits (if 6 hours passed since limit reached)
-        await resetDailyLimitsIfExpired(id);
-
-        // 3. Fetch current user data (FIXED: Using referrer_id:ref_by alias)
-        const users = await supabaseFetch('users', 'GET', null, `?id=eq.${id}&select=balance,ads_watched_today,is_banned,referrer_id:ref_by`);
-        if (!Array.isArray(users) || users.length === 0) {
-            return sendError(res, 'User not found.', 404);
-        }
-        
-        const user = users[0];
-        // ⚠️ FIXED: Accessing the aliased column
-        const referrerId = user.referrer_id; 
-
-        // 4. Banned Check
-        if (user.is_banned) {
-            return sendError(res, 'User is banned.', 403);
-        }
-
-        // 5. Rate Limit Check 
-        const rateLimitResult = await checkRateLimit(id);
-        if (!rateLimitResult.ok) {
-            return sendError(res, rateLimitResult.message, 429); 
-        }
-
-        // 6. Check maximum ad limit
-        if (user.ads_watched_today >= DAILY_MAX_ADS) {
-            return sendError(res, `Daily ad limit (${DAILY_MAX_ADS}) reached.`, 403);
-        }
-
-        // 7. Calculate new values
-        const newBalance = user.balance + reward;
-        const newAdsCount = user.ads_watched_today + 1;
-        const updatePayload = {
-            balance: newBalance,
-            ads_watched_today: newAdsCount,
-            last_activity: new Date().toISOString() // ⬅️ تحديث لـ Rate Limit
-        };
-
-        // 8. ⚠️ NEW LOGIC: Check if the limit is reached NOW
-        if (newAdsCount >= DAILY_MAX_ADS) {
-            updatePayload.ads_limit_reached_at = new Date().toISOString();
+        const result = await creditAdReward(id, { type: 'action', id: action_id });
+        if (!result.ok) {
+            return sendError(res, result.error, result.status);
         }
 
-        // 9. Update user record
-        await supabaseFetch('users', 'PATCH', updatePayload, `?id=eq.${id}`);
-
-        // 10. Commission Call
-        if (referrerId) {
-            processCommission(referrerId, id, reward).catch(e => {
-                console.error(`WatchAd Commission failed silently for referrer ${referrerId}:`, e.message);
-            });
-        }
-          
-        // 11. Success
-        sendSuccess(res, { new_balance: newBalance, actual_reward: reward, new_ads_count: newAdsCount });
+        sendSuccess(res, { new_balance: result.new_balance, actual_reward: result.actual_reward, new_ads_count: result.new_ads_count });
 
     } catch (error) {
         console.error('WatchAd failed:', error.message);
@@ -588,69 +964,210 @@ async function handleWatchAd(req, res, body) {
 }
 
 /**
- * 3) type: "commission" (No change)
+ * HANDLER: type: "startAdView"
+ * Opens a pending view for a callback network. The client passes view_id to the ad SDK
+ * (as the network's custom/user parameter) and the network echoes it in its postback.
+ * Starting a new view replaces the user's previous pending view on that network.
  */
-async function handleCommission(req, res, body) {
-    const { referrer_id, referee_id, source_reward } = body;
-    const referrerId = parseInt(referrer_id);
-    const refereeId = parseInt(referee_id);
-    const sourceReward = parseFloat(source_reward) || REWARD_PER_AD; 
-
-    const result = await processCommission(referrerId, refereeId, sourceReward);
+async function handleStartAdView(req, res, body) {
+    const { user_id } = body;
+    const id = parseInt(user_id);
 
-    if (result.ok) {
-        sendSuccess(res, { new_referrer_balance: result.new_referrer_balance, message: 'Commission successfully processed.' });
-    } else {
-        console.log(`handleCommission failed: ${result.error}`);
-        sendError(res, 'Commission processing failed on the server. ' + result.error, 500); 
+    const network = resolveAdNetwork(body.network);
+    if (!network.ok) {
+        return sendError(res, network.error, 400);
     }
-}
-
-/**
- * 4) type: "preSpin" (No change)
- */
-async function handlePreSpin(req, res, body) {
-    const { user_id, action_id } = body;
-    const id = parseInt(user_id);
-    
-    if (!await validateAndUseActionId(res, id, action_id, 'preSpin')) return;
 
     try {
-        const users = await supabaseFetch('users', 'GET', null, `?id=eq.${id}&select=is_banned`);
+        const settings = await getSettings();
+        await resetDailyLimitsIfExpired(id);
+
+        const users = await storage.select('users', { where: { id }, columns: ['ads_watched_today', 'is_banned'] });
         if (!Array.isArray(users) || users.length === 0) {
             return sendError(res, 'User not found.', 404);
         }
-        
         if (users[0].is_banned) {
             return sendError(res, 'User is banned.', 403);
         }
+        if (users[0].ads_watched_today >= settings.daily_max_ads) {
+            return sendError(res, `Daily ad limit (${settings.daily_max_ads}) reached.`, 403);
+        }
+
+        await storage.remove('ad_views', { user_id: id, network: network.name, status: 'pending' });
 
-        sendSuccess(res, { message: "Pre-spin action secured." });
+        const viewId = generateStrongId();
+        const expiresAt = new Date(Date.now() + AD_VIEW_EXPIRY_MS).toISOString();
+        await storage.insert('ad_views',
+            { view_id: viewId, user_id: id, network: network.name, status: 'pending', expires_at: expiresAt },
+            { columns: ['id'] });
 
+        sendSuccess(res, { view_id: viewId, network: network.name, expires_at: expiresAt });
     } catch (error) {
-        console.error('PreSpin failed:', error.message);
-        sendError(res, `Failed to secure pre-spin: ${error.message}`, 500);
+        console.error('StartAdView failed:', error.message);
+        sendError(res, `Failed to start ad view: ${error.message}`, 500);
     }
 }
 
+/**
+ * Hands a claimed ad view back to pending after crediting it failed, so a retry of the
+ * postback (until the view expires) can still credit it. A view whose reward already
+ * reached the ledger stays completed. The error is kept in rejection_reason.
+ */
+async function releaseAdView(viewId, adEvent, reason) {
+    const rewarded = await storage.count('ledger', {
+        where: { entry_type: LEDGER_ENTRY.AD_REWARD, reference_type: adEvent.type, reference_id: String(adEvent.id) }
+    });
+    if (rewarded > 0) return;
+
+    await storage.update('ad_views', { id: viewId, status: 'completed' },
+        { status: 'pending', completed_at: null, rejection_reason: reason });
+}
 
 /**
- * 5) type: "spinResult"
- * ⚠️ Fix: Updates spins_limit_reached_at when the limit is hit.
+ * Ad network postback: GET or POST /api?ad_callback=<network>&view_id=...&user_id=...&signature=...
+ * No initData here; the request is authenticated by the network's signature or secret instead.
+ * Retries for an already credited view are answered with success so networks stop retrying;
+ * a view whose crediting failed is answered with an error and stays open for the next retry.
  */
-async function handleSpinResult(req, res, body) {
-    const { user_id, action_id } = body; 
-    const id = parseInt(user_id);
+async function handleAdCallback(req, res, networkName, params) {
+    const network = getAdNetwork(networkName);
+    if (!network || !network.callback) {
+        return sendError(res, 'Unknown ad network.', 404);
+    }
+
+    const verification = verifyCallback(network, params);
+    if (!verification.ok) {
+        console.warn(`Rejected ${network.name} callback: ${verification.error}`);
+        return sendError(res, verification.error, 403);
+    }
+
+    try {
+        const views = await storage.select('ad_views', {
+            where: { view_id: verification.viewId, network: network.name },
+            columns: ['id', 'user_id', 'status', 'expires_at']
+        });
+        if (!Array.isArray(views) || views.length === 0) {
+            return sendError(res, 'Unknown ad view.', 404);
+        }
+
+        const view = views[0];
+        if (verification.userId && String(view.user_id) !== verification.userId) {
+            console.warn(`${network.name} callback user ${verification.userId} does not match view ${view.id}.`);
+            return sendError(res, 'Ad view belongs to another user.', 403);
+        }
+        if (view.status === 'completed') {
+            return sendSuccess(res, { message: 'Ad view already credited.' });
+        }
+        if (view.status !== 'pending') {
+            return sendError(res, `Ad view is ${view.status}.`, 409);
+        }
+        if (new Date(view.expires_at).getTime() < Date.now()) {
+            await storage.update('ad_views', { id: view.id, status: 'pending' }, { status: 'expired' });
+            return sendError(res, 'Ad view expired.', 410);
+        }
+
+        // Claim the view first so concurrent retries cannot credit it twice
+        const claimed = await storage.update('ad_views', { id: view.id, status: 'pending' },
+            { status: 'completed', completed_at: new Date().toISOString() }, { columns: ['id'] });
+        if (!Array.isArray(claimed) || claimed.length === 0) {
+            return sendSuccess(res, { message: 'Ad view already credited.' });
+        }
+
+        const adEvent = { type: 'ad_view', id: view.id };
+        let result;
+        try {
+            result = await creditAdReward(parseInt(view.user_id), adEvent);
+        } catch (error) {
+            await releaseAdView(view.id, adEvent, error.message);
+            throw error;
+        }
+        if (!result.ok) {
+            await releaseAdView(view.id, adEvent, result.error);
+            return sendError(res, result.error, result.status);
+        }
+
+        await storage.update('ad_views', { id: view.id }, { reward: result.actual_reward, rejection_reason: null });
+        sendSuccess(res, { message: 'Ad view credited.', reward: result.actual_reward });
+    } catch (error) {
+        console.error('AdCallback failed:', error.message);
+        sendError(res, `Failed to process ad callback: ${error.message}`, 500);
+    }
+}
+
+/**
+ * 4) type: "preSpin"
+ * Commits to the next spin: returns sha256 of a fresh server seed and the nonce. The client seed
+ * that counts is the one sent afterwards, with spinResult, so the server seed is fixed before the
+ * server can know it; a body.client_seed sent here (older clients) is ignored. See lib/provablyFair.js.
+ */
+async function handlePreSpin(req, res, body) {
+    const { user_id, action_id } = body;
+    const id = parseInt(user_id);
+
+    if (!await validateAndUseActionId(res, id, action_id, 'preSpin')) return;
+
+    try {
+        const users = await storage.select('users', { where: { id }, columns: ['is_banned'] });
+        if (!Array.isArray(users) || users.length === 0) {
+            return sendError(res, 'User not found.', 404);
+        }
+        
+        if (users[0].is_banned) {
+            return sendError(res, 'User is banned.', 403);
+        }
+
+        // Only the latest commitment can be used; replace any unused one
+        await storage.remove('spin_commitments', { user_id: id });
+
+        // The wheel is fixed here too, so a settings change cannot affect a committed spin
+        const settings = await getSettings();
+        const nonce = await storage.count('spin_results', { where: { user_id: id } });
+        const serverSeed = generateServerSeed();
+        const serverSeedHash = hashServerSeed(serverSeed);
+
+        await storage.insert('spin_commitments',
+            { user_id: id, server_seed: serverSeed, server_seed_hash: serverSeedHash, nonce, wheel: settings.spin_wheel },
+            { columns: ['id'] });
+
+        sendSuccess(res, {
+            message: "Pre-spin action secured.",
+            server_seed_hash: serverSeedHash,
+            nonce
+        });
+
+    } catch (error) {
+        console.error('PreSpin failed:', error.message);
+        sendError(res, `Failed to secure pre-spin: ${error.message}`, 500);
+    }
+}
+
+
+/**
+ * 5) type: "spinResult"
+ * ⚠️ Fix: Updates spins_limit_reached_at when the limit is hit.
+ * Combines the commitment from preSpin with body.client_seed (required: the user's own seed is what
+ * makes the spin verifiable) and reveals the server seed.
+ */
+async function handleSpinResult(req, res, body) {
+    const { user_id, action_id } = body; 
+    const id = parseInt(user_id);
+
+    const clientSeed = normalizeClientSeed(body.client_seed);
+    if (!clientSeed) {
+        return sendError(res, 'client_seed must be a non-empty string of at most 64 characters.', 400);
+    }
     
     // 1. Check and Consume Action ID (Security Check)
     if (!await validateAndUseActionId(res, id, action_id, 'spinResult')) return; 
     
-    // 2. Check and reset daily limits (if 6 hours passed since limit reached)
+    // 2. Check and reset daily limits (per the reset policy)
     await resetDailyLimitsIfExpired(id);
 
     try {
+        const settings = await getSettings();
+
         // 3. Fetch current user data
-        const users = await supabaseFetch('users', 'GET', null, `?id=eq.${id}&select=balance,spins_today,is_banned`);
+        const users = await storage.select('users', { where: { id }, columns: ['spins_today', 'is_banned', 'referrer_id:ref_by'] });
         if (!Array.isArray(users) || users.length === 0) {
             return sendError(res, 'User not found.', 404);
         }
@@ -662,48 +1179,76 @@ async function handleSpinResult(req, res, body) {
             return sendError(res, 'User is banned.', 403);
         }
         
-        // 5. Rate Limit Check 
-        const rateLimitResult = await checkRateLimit(id);
-        if (!rateLimitResult.ok) {
-            return sendError(res, rateLimitResult.message, 429); 
+        // 5. Check maximum spin limit before using up the commitment (checked again when crediting)
+        if (user.spins_today >= settings.daily_max_spins) {
+            return sendError(res, `Daily spin limit (${settings.daily_max_spins}) reached.`, 403);
         }
-
-        // 6. Check maximum spin limit
-        if (user.spins_today >= DAILY_MAX_SPINS) {
-            return sendError(res, `Daily spin limit (${DAILY_MAX_SPINS}) reached.`, 403);
+        
+        // 6. Claim the preSpin commitment (deleting it makes it single-use)
+        const commitments = await storage.select('spin_commitments', {
+            where: { user_id: id },
+            columns: ['id', 'server_seed', 'server_seed_hash', 'nonce', 'wheel']
+        });
+        const commitment = Array.isArray(commitments) && commitments.length > 0 ? commitments[0] : null;
+        const claimed = commitment ? await storage.remove('spin_commitments', { id: commitment.id }) : [];
+        if (!Array.isArray(claimed) || claimed.length === 0) {
+            return sendError(res, 'No pending spin commitment. Call preSpin first.', 409);
         }
         
         // --- All checks passed: Process Spin Result ---
 
-        const { prize, prizeIndex } = calculateRandomSpinPrize();
-        const newSpinsCount = user.spins_today + 1;
-        const newBalance = user.balance + prize;
-        
-        const updatePayload = {
-            balance: newBalance,
-            spins_today: newSpinsCount,
-            last_activity: new Date().toISOString() // ⬅️ تحديث لـ Rate Limit
-        };
+        const wheel = commitment.wheel;
+        const random = deriveRandom(commitment.server_seed, clientSeed, commitment.nonce);
+        const { sector, prizeIndex } = pickSector(wheel, random);
+        const prize = sector.prize;
 
-        // 7. ⚠️ NEW LOGIC: Check if the limit is reached NOW
-        if (newSpinsCount >= DAILY_MAX_SPINS) {
-            updatePayload.spins_limit_reached_at = new Date().toISOString();
+        // 7. Save to spin_results (with the seeds and the wheel used, for verifySpin)
+        const spins = await storage.insert('spin_results', {
+            user_id: id,
+            prize,
+            prize_index: prizeIndex,
+            is_jackpot: !!sector.jackpot,
+            server_seed: commitment.server_seed,
+            server_seed_hash: commitment.server_seed_hash,
+            client_seed: clientSeed,
+            nonce: commitment.nonce,
+            wheel
+        }, { columns: ['id'] });
+        const spinId = Array.isArray(spins) && spins.length > 0 ? spins[0].id : null;
+
+        // 8. Check the spin limit again, update the counters and credit the prize, atomically.
+        // A spin that is not credited is removed, so it does not count towards the limit.
+        const spinEvent = { type: 'spin_result', id: spinId };
+        let credit;
+        try {
+            credit = await creditCappedReward(id, 'spins', settings.daily_max_spins, prize, LEDGER_ENTRY.SPIN_REWARD, spinEvent);
+        } catch (error) {
+            await storage.remove('spin_results', { id: spinId });
+            throw error;
         }
+        if (!credit.allowed) {
+            await storage.remove('spin_results', { id: spinId });
+            return sendError(res, `Daily spin limit (${settings.daily_max_spins}) reached.`, 403);
+        }
+        const newBalance = credit.new_balance;
 
-        // 8. Update user record
-        await supabaseFetch('users', 'PATCH', updatePayload, `?id=eq.${id}`);
-
-        // 9. Save to spin_results
-        await supabaseFetch('spin_results', 'POST',
-          { user_id: id, prize },
-          '?select=user_id');
+        if (user.referrer_id) {
+            await processCommission(user.referrer_id, id, prize, spinEvent);
+        }
 
-        // 10. Return the actual, server-calculated prize and index
+        // 9. Return the actual, server-calculated prize and index, revealing the server seed
         sendSuccess(res, { 
             new_balance: newBalance, 
             actual_prize: prize, 
             prize_index: prizeIndex,
-            new_spins_count: newSpinsCount
+            prize_label: sector.label,
+            is_jackpot: !!sector.jackpot,
+            new_spins_count: credit.new_count,
+            spin_id: spinId,
+            server_seed: commitment.server_seed,
+            server_seed_hash: commitment.server_seed_hash,
+            client_seed: clientSeed,
+            nonce: commitment.nonce
         });
 
     } catch (error) {
@@ -713,20 +1258,229 @@ async function handleSpinResult(req, res, body) {
 }
 
 /**
- * 7) NEW HANDLER: type: "completeTask"
- * ⚠️ Handles the one-time channel join reward task.
+ * HANDLER: type: "verifySpin"
+ * Recomputes one of the caller's past spins from its revealed seeds (see lib/provablyFair.js)
+ * and reports whether the hash commitment and the recorded sector both check out.
  */
-async function handleCompleteTask(req, res, body) {
+async function handleVerifySpin(req, res, body) {
+    const { user_id } = body;
+    const id = parseInt(user_id);
+    const spinId = parseInt(body.spin_id);
+
+    if (isNaN(spinId)) {
+        return sendError(res, 'Missing or invalid spin_id.', 400);
+    }
+
+    try {
+        const spins = await storage.select('spin_results', {
+            where: { id: spinId, user_id: id },
+            columns: ['id', 'prize', 'prize_index', 'server_seed', 'server_seed_hash', 'client_seed', 'nonce', 'wheel', 'created_at']
+        });
+        if (!Array.isArray(spins) || spins.length === 0) {
+            return sendError(res, 'Spin not found.', 404);
+        }
+
+        const spin = spins[0];
+        if (!spin.server_seed || !Array.isArray(spin.wheel)) {
+            return sendError(res, 'This spin was made before provably fair spins and cannot be verified.', 409);
+        }
+
+        const hashMatches = hashServerSeed(spin.server_seed) === spin.server_seed_hash;
+        const random = deriveRandom(spin.server_seed, spin.client_seed, spin.nonce);
+        const { sector, prizeIndex } = pickSector(spin.wheel, random);
+        const resultMatches = prizeIndex === spin.prize_index && Number(sector.prize) === Number(spin.prize);
+
+        sendSuccess(res, {
+            spin_id: spin.id,
+            verified: hashMatches && resultMatches,
+            hash_matches: hashMatches,
+            result_matches: resultMatches,
+            server_seed: spin.server_seed,
+            server_seed_hash: spin.server_seed_hash,
+            client_seed: spin.client_seed,
+            nonce: spin.nonce,
+            random,
+            wheel: spin.wheel,
+            computed_prize_index: prizeIndex,
+            recorded_prize_index: spin.prize_index,
+            prize: spin.prize,
+            created_at: spin.created_at
+        });
+    } catch (error) {
+        console.error('VerifySpin failed:', error.message);
+        sendError(res, `Failed to verify spin: ${error.message}`, 500);
+    }
+}
+
+// ------------------------------------------------------------------
+// 📅 Daily Check-in Bonus (days are UTC calendar days)
+// ------------------------------------------------------------------
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function utcDateString(time) {
+    return new Date(time).toISOString().slice(0, 10);
+}
+
+/**
+ * Streak state for a user row ({ daily_bonus_streak, daily_bonus_last_claim_date }).
+ * A streak survives only if the last claim was today or yesterday; otherwise it is 0 (missed a day).
+ */
+function getDailyBonusState(user, rewards, now = Date.now()) {
+    const today = utcDateString(now);
+    const yesterday = utcDateString(now - DAY_MS);
+    const lastClaim = user.daily_bonus_last_claim_date || null;
+    const alive = lastClaim === today || lastClaim === yesterday;
+    const streak = alive ? (user.daily_bonus_streak || 0) : 0;
+    const claimedToday = lastClaim === today;
+
+    // The streak day the next claim will count as, and what it pays
+    const nextStreak = streak + 1;
+    const nextReward = rewards[Math.min(nextStreak, rewards.length) - 1];
+
+    return {
+        streak,
+        claimed_today: claimedToday,
+        last_claim_date: lastClaim,
+        next_streak_day: nextStreak,
+        next_reward: nextReward,
+        next_claim_at: claimedToday ? `${utcDateString(now + DAY_MS)}T00:00:00.000Z` : new Date(now).toISOString(),
+        rewards
+    };
+}
+
+/**
+ * HANDLER: type: "claimDailyBonus"
+ * Once per UTC day. Claiming on consecutive days grows the streak; missing a day restarts it at day 1.
+ */
+async function handleClaimDailyBonus(req, res, body) {
     const { user_id, action_id } = body;
     const id = parseInt(user_id);
-    const reward = TASK_REWARD;
+
+    // 1. Check and Consume Action ID (Security Check)
+    if (!await validateAndUseActionId(res, id, action_id, 'claimDailyBonus')) return;
+
+    try {
+        const { daily_bonus_rewards: rewards } = await getSettings();
+
+        // 2. Fetch current user data
+        const users = await storage.select('users', {
+            where: { id },
+            columns: ['is_banned', 'daily_bonus_streak', 'daily_bonus_last_claim_date']
+        });
+        if (!Array.isArray(users) || users.length === 0) {
+            return sendError(res, 'User not found.', 404);
+        }
+        const user = users[0];
+
+        // 3. Banned Check
+        if (user.is_banned) {
+            return sendError(res, 'User is banned.', 403);
+        }
+
+        // 4. Once per day
+        const now = Date.now();
+        const state = getDailyBonusState(user, rewards, now);
+        if (state.claimed_today) {
+            return sendError(res, `Daily bonus already claimed. Next claim at ${state.next_claim_at}.`, 409);
+        }
+
+        // 5. Store the new streak and credit the reward through the ledger in one step, only if
+        // nobody claimed in between (conditional on the previous claim date)
+        const today = utcDateString(now);
+        const reward = state.next_reward;
+        const credit = await storage.rpc('claim_daily_bonus', {
+            p_user_id: id,
+            p_previous_claim_date: user.daily_bonus_last_claim_date || null,
+            p_claim_date: today,
+            p_streak: state.next_streak_day,
+            p_amount: reward
+        });
+        if (!credit || !credit.claimed) {
+            return sendError(res, 'Daily bonus already claimed.', 409);
+        }
+
+        sendSuccess(res, {
+            new_balance: credit.new_balance,
+            reward,
+            daily_bonus: getDailyBonusState({ daily_bonus_streak: state.next_streak_day, daily_bonus_last_claim_date: today }, rewards, now)
+        });
+    } catch (error) {
+        console.error('ClaimDailyBonus failed:', error.message);
+        sendError(res, `Failed to claim daily bonus: ${error.message}`, 500);
+    }
+}
+
+const TASK_COLUMNS = ['id', 'name', 'link', 'reward', 'max_participants', 'note', 'is_active', 'created_at'];
+
+/**
+ * Shapes 'tasks' rows for the API response, adding each task's completion count.
+ */
+async function formatTasks(tasks) {
+    if (!Array.isArray(tasks) || tasks.length === 0) return [];
+
+    const completions = await storage.select('task_completions', {
+        where: { task_id: tasks.map(task => task.id) },
+        columns: ['task_id']
+    });
+    const counts = {};
+    completions.forEach(c => { counts[c.task_id] = (counts[c.task_id] || 0) + 1; });
+
+    return tasks.map(({ id, ...rest }) => ({ task_id: id, ...rest, completions_count: counts[id] || 0 }));
+}
+
+/**
+ * 7) type: "getTasks"
+ * Users get the active tasks they can still join plus the ones they already completed.
+ * Admins get every task, including paused ones, with its participant count.
+ */
+async function handleGetTasks(req, res, body) {
+    const { user_id } = body;
+    const id = parseInt(user_id);
+    const isAdmin = hasAdminPermission(await getAdminRole(id), 'tasks:view');
+
+    try {
+        const tasks = await storage.select('tasks', { columns: TASK_COLUMNS, order: { column: 'created_at', ascending: false } });
+        const allTasks = await formatTasks(tasks);
+
+        if (isAdmin) {
+            return sendSuccess(res, { tasks: allTasks });
+        }
+
+        const completions = await storage.select('task_completions', { where: { user_id: id }, columns: ['task_id'] });
+        const completedIds = new Set(Array.isArray(completions) ? completions.map(c => c.task_id) : []);
+
+        const userTasks = allTasks
+            .filter(task => task.is_active)
+            .map(({ note, ...task }) => ({ ...task, completed: completedIds.has(task.task_id) }))
+            .filter(task => task.completed || !task.max_participants || task.completions_count < task.max_participants);
+
+        sendSuccess(res, { tasks: userTasks });
+
+    } catch (error) {
+        console.error('GetTasks failed:', error.message);
+        sendError(res, `Failed to load tasks: ${error.message}`, 500);
+    }
+}
+
+/**
+ * 8) type: "completeTask"
+ * Verifies channel membership for the task's link and pays the task reward once per user.
+ */
+async function handleCompleteTask(req, res, body) {
+    const { user_id, action_id, task_id } = body;
+    const id = parseInt(user_id);
+    const taskId = parseInt(task_id);
+
+    if (!taskId) {
+        return sendError(res, 'Missing task_id.', 400);
+    }
 
     // 1. Check and Consume Action ID (Security Check)
     if (!await validateAndUseActionId(res, id, action_id, 'completeTask')) return;
 
     try {
         // 2. Fetch current user data
-        const users = await supabaseFetch('users', 'GET', null, `?id=eq.${id}&select=balance,is_banned,task_completed`);
+        const users = await storage.select('users', { where: { id }, columns: ['is_banned', 'referrer_id:ref_by'] });
         if (!Array.isArray(users) || users.length === 0) {
             return sendError(res, 'User not found.', 404);
         }
@@ -737,38 +1491,72 @@ async function handleCompleteTask(req, res, body) {
         if (user.is_banned) {
             return sendError(res, 'User is banned.', 403);
         }
-        
-        // 4. Check if task is already completed
-        if (user.task_completed) {
+
+        // 4. Fetch the task and its participant count
+        const tasks = await storage.select('tasks', { where: { id: taskId }, columns: ['id', 'name', 'link', 'reward', 'max_participants', 'is_active'] });
+        if (!Array.isArray(tasks) || tasks.length === 0) {
+            return sendError(res, 'Task not found.', 404);
+        }
+
+        const [task] = await formatTasks(tasks);
+        const reward = parseFloat(task.reward);
+
+        if (!task.is_active) {
+            return sendError(res, 'Task is paused.', 403);
+        }
+
+        // 5. Check if task is already completed
+        const existing = await storage.select('task_completions', { where: { task_id: taskId, user_id: id }, columns: ['id'] });
+        if (Array.isArray(existing) && existing.length > 0) {
             return sendError(res, 'Task already completed.', 403);
         }
+
+        // 6. Check max_participants
+        if (task.max_participants && task.completions_count >= task.max_participants) {
+            return sendError(res, 'Task participant limit reached.', 403);
+        }
         
-        // 5. Check Rate Limit (Good practice for anti-spam)
-        const rateLimitResult = await checkRateLimit(id);
-        if (!rateLimitResult.ok) {
-            return sendError(res, rateLimitResult.message, 429); 
+        // 7. 🚨 CRITICAL: Check Channel Membership using Telegram API
+        const channelUsername = extractChannelUsername(task.link);
+        if (!channelUsername) {
+            return sendError(res, 'Task link cannot be verified.', 422);
         }
 
-        // 6. 🚨 CRITICAL: Check Channel Membership using Telegram API
-        const isMember = await checkChannelMembership(id, TELEGRAM_CHANNEL_USERNAME);
+        const isMember = await checkChannelMembership(id, channelUsername);
 
         if (!isMember) {
             return sendError(res, 'User has not joined the required channel.', 400);
         }
 
-        // 7. Process Reward and Update User Data
-        const newBalance = user.balance + reward;
-        
-        const updatePayload = {
-            balance: newBalance,
-            task_completed: true, // Mark as completed
-            last_activity: new Date().toISOString() // Update for Rate Limit
-        };
-
-        await supabaseFetch('users', 'PATCH', updatePayload, `?id=eq.${id}`);
-          
-        // 8. Success
-        sendSuccess(res, { new_balance: newBalance, actual_reward: reward, message: 'Task completed successfully.' });
+        // 8. Record the completion first: the unique key and cap trigger reject duplicates and overflow
+        let completionId;
+        try {
+            const completions = await storage.insert('task_completions', { task_id: taskId, user_id: id, reward }, { columns: ['id'] });
+            completionId = Array.isArray(completions) && completions.length > 0 ? completions[0].id : null;
+        } catch (error) {
+            if (/duplicate key/i.test(error.message)) {
+                return sendError(res, 'Task already completed.', 403);
+            }
+            if (/participant limit/i.test(error.message)) {
+                return sendError(res, 'Task participant limit reached.', 403);
+            }
+            throw error;
+        }
+
+        // 9. Process Reward and Update User Data
+        const taskEvent = { type: 'task_completion', id: completionId };
+        const credit = await applyBalanceChange(id, reward, LEDGER_ENTRY.TASK_REWARD, taskEvent);
+        const newBalance = credit.new_balance;
+
+        if (user.referrer_id) {
+            await processCommission(user.referrer_id, id, reward, taskEvent);
+        }
+
+        await storage.update('users', { id }, { last_activity: new Date().toISOString() });
+        await notify(id, 'task_reward', { task_name: task.name, reward });
+
+        // 10. Success
+        sendSuccess(res, { new_balance: newBalance, actual_reward: reward, task_id: taskId, message: 'Task completed successfully.' });
 
     } catch (error) {
         console.error('CompleteTask failed:', error.message);
@@ -778,24 +1566,27 @@ async function handleCompleteTask(req, res, body) {
 
 
 /**
- * 6) type: "withdraw" (No change, only uses last_activity for rate limit check in checkRateLimit)
+ * 6) type: "withdraw"
+ * The pending row and the balance debit are created together by the request_withdrawal DB function.
  */
 async function handleWithdraw(req, res, body) {
-    const { user_id, binanceId, amount, action_id } = body;
+    const { user_id, amount, action_id } = body;
     const id = parseInt(user_id);
     const withdrawalAmount = parseFloat(amount);
-    const MIN_WITHDRAW = 400;
-
-    // 1. Check and Consume Action ID (Security Check)
-    if (!await validateAndUseActionId(res, id, action_id, 'withdraw')) return;
+    const binanceId = typeof body.binanceId === 'string' || typeof body.binanceId === 'number' ? String(body.binanceId).trim() : '';
 
-    if (withdrawalAmount < MIN_WITHDRAW) {
-        return sendError(res, `Minimum withdrawal amount is ${MIN_WITHDRAW} SHIB.`, 400);
+    // 1. Validate the input (before the action id is used up, so the user can correct it and retry)
+    const { min_withdraw } = await getSettings();
+    if (isNaN(withdrawalAmount) || withdrawalAmount < min_withdraw) {
+        return sendError(res, `Minimum withdrawal amount is ${min_withdraw} SHIB.`, 400);
+    }
+    if (!BINANCE_ID_PATTERN.test(binanceId)) {
+        return sendError(res, 'binanceId must be a Binance Pay ID (6 to 12 digits).', 400);
     }
 
     try {
         // 2. Fetch current user balance and banned status
-        const users = await supabaseFetch('users', 'GET', null, `?id=eq.${id}&select=balance,is_banned`);
+        const users = await storage.select('users', { where: { id }, columns: ['balance', 'is_banned'] });
         if (!Array.isArray(users) || users.length === 0) {
             return sendError(res, 'User not found.', 404);
         }
@@ -812,24 +1603,34 @@ async function handleWithdraw(req, res, body) {
             return sendError(res, 'Insufficient balance.', 400);
         }
 
-        // 5. Calculate new balance
-        const newBalance = user.balance - withdrawalAmount;
+        // 5. Check and Consume Action ID (Security Check), last so a refused request leaves it usable
+        if (!await validateAndUseActionId(res, id, action_id, 'withdraw')) return;
 
-        // 6. Update user balance
-        await supabaseFetch('users', 'PATCH',
-          { 
-              balance: newBalance,
-              last_activity: new Date().toISOString() // ⬅️ تحديث لـ Rate Limit
-          },
-          `?id=eq.${id}`);
+        // 6. Record the withdrawal request and debit the balance atomically
+        let withdrawal;
+        try {
+            withdrawal = await storage.rpc('request_withdrawal', { p_user_id: id, p_amount: withdrawalAmount, p_binance_id: binanceId });
+        } catch (error) {
+            if (/insufficient balance/i.test(error.message)) {
+                return sendError(res, 'Insufficient balance.', 400);
+            }
+            throw error;
+        }
+
+        // 7. Update last_activity
+        await storage.update('users', { id }, { last_activity: new Date().toISOString() }); // ⬅️ آخر نشاط
 
-        // 7. Record the withdrawal request
-        await supabaseFetch('withdrawals', 'POST',
-          { user_id: id, amount: withdrawalAmount, binance_id: binanceId, status: 'pending' },
-          '?select=user_id');
+        await recordAudit({
+            actorId: id,
+            action: 'withdrawal.requested',
+            targetId: withdrawal.withdrawal_id,
+            before: { balance: Number(withdrawal.new_balance) + withdrawalAmount },
+            after: { balance: Number(withdrawal.new_balance), amount: withdrawalAmount, binance_id: binanceId },
+            ip: getClientIp(req)
+        });
 
         // 8. Success
-        sendSuccess(res, { new_balance: newBalance });
+        sendSuccess(res, { new_balance: withdrawal.new_balance, withdrawal_id: withdrawal.withdrawal_id });
 
     } catch (error) {
         console.error('Withdrawal failed:', error.message);
@@ -838,59 +1639,904 @@ async function handleWithdraw(req, res, body) {
 }
 
 
-// --- Main Handler for Vercel/Serverless ---
-module.exports = async (req, res) => {
-  // CORS configuration
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+// --- Admin Handlers ---
+// Admin authorization is enforced in the router; body.admin_id is the verified caller id
+// and body.admin_role its role.
 
-  if (req.method === 'OPTIONS') {
-    return sendSuccess(res);
-  }
+/**
+ * ADMIN HANDLER: type: "getAdminProfile"
+ * Lets the panel know which sections the caller's role can use.
+ */
+async function handleGetAdminProfile(req, res, body) {
+    const { admin_id, admin_role } = body;
+    sendSuccess(res, { user_id: admin_id, role: admin_role, permissions: ADMIN_ROLE_PERMISSIONS[admin_role] });
+}
 
-  if (req.method !== 'POST') {
-    return sendError(res, `Method ${req.method} not allowed. Only POST is supported.`, 405);
-  }
+/**
+ * ADMIN HANDLER: type: "getPendingWithdrawals"
+ * Returns requests waiting for a decision and approved requests waiting for payout.
+ */
+async function handleGetPendingWithdrawals(req, res, body) {
+    try {
+        const withdrawals = await storage.select('withdrawals', {
+            where: { status: ['pending', 'approved'] },
+            columns: ['id', 'user_id', 'amount', 'binance_id', 'status', 'created_at', 'approved_by', 'approved_at'],
+            order: { column: 'created_at', ascending: true }
+        });
+        const list = Array.isArray(withdrawals) ? withdrawals : [];
 
-  let body;
-  try {
-    body = await new Promise((resolve, reject) => {
-      let data = '';
-      req.on('data', chunk => {
-        data += chunk.toString();
-      });
-      req.on('end', () => {
+        sendSuccess(res, {
+            pending_withdrawals: list.filter(w => w.status === 'pending'),
+            approved_withdrawals: list.filter(w => w.status === 'approved')
+        });
+    } catch (error) {
+        console.error('GetPendingWithdrawals failed:', error.message);
+        sendError(res, `Failed to load pending withdrawals: ${error.message}`, 500);
+    }
+}
+
+/**
+ * ADMIN HANDLER: type: "adminAction"
+ * Moves a withdrawal through its lifecycle (accept/pay/reject), or bans the user behind it.
+ * Rejection refunds the amount inside the transition_withdrawal DB function.
+ */
+async function handleAdminAction(req, res, body) {
+    const { admin_id, action_id, action, request_id, user_to_ban, payout_reference, reason } = body;
+
+    if (action !== 'ban' && !WITHDRAWAL_ACTION_STATUS[action]) {
+        return sendError(res, `Unknown admin action: ${action}`, 400);
+    }
+
+    // 1. Check and Consume Action ID (Security Check)
+    if (!await validateAndUseActionId(res, admin_id, action_id, 'adminAction')) return;
+
+    try {
+        // 2. Ban action targets the user directly
+        if (action === 'ban') {
+            const targetId = parseInt(user_to_ban);
+            if (!targetId) {
+                return sendError(res, 'Missing user_to_ban.', 400);
+            }
+
+            const users = await storage.select('users', { where: { id: targetId }, columns: ['is_banned'] });
+            if (!Array.isArray(users) || users.length === 0) {
+                return sendError(res, 'User not found.', 404);
+            }
+
+            await storage.update('users', { id: targetId }, { is_banned: true });
+            await auditAdminAction(req, body, { action: 'user.banned', targetId, before: { is_banned: !!users[0].is_banned }, after: { is_banned: true } });
+            if (!users[0].is_banned) {
+                await notify(targetId, 'account_banned');
+            }
+
+            return sendSuccess(res, { message: `User ${targetId} has been banned.` });
+        }
+
+        // 3. Lifecycle actions target a withdrawal request
+        const requestId = parseInt(request_id);
+        if (!requestId) {
+            return sendError(res, 'Missing request_id.', 400);
+        }
+
+        const newStatus = WITHDRAWAL_ACTION_STATUS[action];
+
+        // 4. The DB function locks the row and rejects invalid transitions (e.g. double clicks)
+        const previous = await storage.select('withdrawals', { where: { id: requestId }, columns: ['status'] });
+        let withdrawal;
         try {
-          resolve(JSON.parse(data));
-        } catch (e) {
-          reject(new Error('Invalid JSON payload.'));
+            withdrawal = await storage.rpc('transition_withdrawal', {
+                p_withdrawal_id: requestId,
+                p_to_status: newStatus,
+                p_actor_id: admin_id,
+                p_payout_reference: payout_reference ? String(payout_reference).trim() : null,
+                p_reason: reason ? String(reason).trim() : null
+            });
+        } catch (error) {
+            if (/withdrawal not found/i.test(error.message)) {
+                return sendError(res, 'Withdrawal request not found.', 404);
+            }
+            if (/invalid withdrawal transition/i.test(error.message)) {
+                return sendError(res, error.message, 409);
+            }
+            throw error;
         }
-      });
-      req.on('error', reject);
-    });
 
-  } catch (error) {
-    return sendError(res, error.message, 400);
-  }
+        await auditAdminAction(req, body, {
+            action: `withdrawal.${newStatus}`,
+            targetId: requestId,
+            before: Array.isArray(previous) && previous.length > 0 ? { status: previous[0].status } : null,
+            after: { status: withdrawal.status, user_id: withdrawal.user_id, amount: Number(withdrawal.amount), payout_reference: withdrawal.payout_reference || null }
+        });
 
-  if (!body || !body.type) {
-    return sendError(res, 'Missing "type" field in the request body.', 400);
-  }
+        // 5. Tell the user (queued and retried if Telegram is unreachable)
+        await notify(withdrawal.user_id, `withdrawal_${newStatus}`, {
+            amount: Number(withdrawal.amount),
+            payout_reference: withdrawal.payout_reference || null,
+            reason: withdrawal.rejection_reason || null
+        });
 
-  // ⬅️ initData Security Check
-  if (body.type !== 'commission' && (!body.initData || !validateInitData(body.initData))) {
-      return sendError(res, 'Invalid or expired initData. Security check failed.', 401);
-  }
+        sendSuccess(res, { withdrawal, message: `Withdrawal request ${requestId} marked as ${newStatus}.` });
 
-  if (!body.user_id && body.type !== 'commission') {
-      return sendError(res, 'Missing user_id in the request body.', 400);
-  }
+    } catch (error) {
+        console.error('AdminAction failed:', error.message);
+        sendError(res, `Admin action failed: ${error.message}`, 500);
+    }
+}
 
-  // Route the request based on the 'type' field
-  switch (body.type) {
-    case 'getUserData':
-      await handleGetUserData(req, res, body);
+/**
+ * ADMIN HANDLER: type: "getUsers"
+ * Paginated user list, optionally searched (search_by + query) and sorted (sort + order).
+ * See lib/adminUsers.js for the search fields.
+ */
+async function handleGetUsers(req, res, body) {
+    const query = body.query === undefined || body.query === null ? '' : String(body.query).trim();
+
+    if (query && !USER_SEARCH_FIELDS.includes(body.search_by)) {
+        return sendError(res, `search_by must be one of: ${USER_SEARCH_FIELDS.join(', ')}.`, 400);
+    }
+    if (query && ['id', 'referrer'].includes(body.search_by) && !/^\d+$/.test(query)) {
+        return sendError(res, 'query must be a user id.', 400);
+    }
+    if (body.sort && !USER_SORTS.includes(body.sort)) {
+        return sendError(res, `sort must be one of: ${USER_SORTS.join(', ')}.`, 400);
+    }
+    if (body.order && !['asc', 'desc'].includes(body.order)) {
+        return sendError(res, 'order must be asc or desc.', 400);
+    }
+
+    try {
+        const page = await listUsers({ ...body, query });
+        sendSuccess(res, page);
+    } catch (error) {
+        console.error('GetUsers failed:', error.message);
+        sendError(res, `Failed to load users: ${error.message}`, 500);
+    }
+}
+
+/**
+ * ADMIN HANDLER: type: "getUserDetails"
+ * One user's profile and totals, referrer, referral tree, withdrawals, spins (spin_results),
+ * commissions earned and task completions.
+ */
+async function handleGetUserDetails(req, res, body) {
+    const targetId = parseInt(body.target_user_id);
+
+    if (!targetId) {
+        return sendError(res, 'Invalid user id.', 400);
+    }
+
+    try {
+        const settings = await getSettings();
+        const details = await getUserDetails(targetId, settings);
+        if (!details) {
+            return sendError(res, 'User not found.', 404);
+        }
+        sendSuccess(res, details);
+    } catch (error) {
+        console.error('GetUserDetails failed:', error.message);
+        sendError(res, `Failed to load user details: ${error.message}`, 500);
+    }
+}
+
+/**
+ * ADMIN HANDLER: type: "updateBalance"
+ */
+async function handleUpdateBalance(req, res, body) {
+    const { admin_id, action_id, target_user_id, new_balance } = body;
+    const targetId = parseInt(target_user_id);
+    const newBalance = parseFloat(new_balance);
+
+    if (!targetId) {
+        return sendError(res, 'Missing target_user_id.', 400);
+    }
+    if (isNaN(newBalance) || newBalance < 0) {
+        return sendError(res, 'Balance must be a non-negative number.', 400);
+    }
+
+    if (!await validateAndUseActionId(res, admin_id, action_id, 'updateBalance')) return;
+
+    try {
+        // The DB function records the difference as an admin_adjustment ledger entry
+        const result = await storage.rpc('set_balance', {
+            p_user_id: targetId,
+            p_new_balance: newBalance,
+            p_entry_type: LEDGER_ENTRY.ADMIN_ADJUSTMENT,
+            p_actor_id: admin_id
+        });
+
+        await auditAdminAction(req, body, { action: 'user.balance_set', targetId, before: { balance: Number(result.old_balance) }, after: { balance: Number(result.new_balance) } });
+
+        sendSuccess(res, { new_balance: result.new_balance, old_balance: result.old_balance, message: 'Balance updated.' });
+
+    } catch (error) {
+        if (/user not found/i.test(error.message)) {
+            return sendError(res, 'User not found.', 404);
+        }
+        console.error('UpdateBalance failed:', error.message);
+        sendError(res, `Failed to update balance: ${error.message}`, 500);
+    }
+}
+
+/**
+ * ADMIN HANDLER: type: "toggleBan"
+ */
+async function handleToggleBan(req, res, body) {
+    const { admin_id, action_id, target_user_id, action } = body;
+    const targetId = parseInt(target_user_id);
+
+    if (!targetId) {
+        return sendError(res, 'Missing target_user_id.', 400);
+    }
+    if (!['ban', 'unban'].includes(action)) {
+        return sendError(res, 'Action must be "ban" or "unban".', 400);
+    }
+
+    if (!await validateAndUseActionId(res, admin_id, action_id, 'toggleBan')) return;
+
+    try {
+        const isBanned = action === 'ban';
+        const users = await storage.select('users', { where: { id: targetId }, columns: ['is_banned'] });
+        if (!Array.isArray(users) || users.length === 0) {
+            return sendError(res, 'User not found.', 404);
+        }
+
+        await storage.update('users', { id: targetId }, { is_banned: isBanned });
+        await auditAdminAction(req, body, { action: isBanned ? 'user.banned' : 'user.unbanned', targetId, before: { is_banned: !!users[0].is_banned }, after: { is_banned: isBanned } });
+
+        // Only an actual change is worth a message (e.g. not banning an already banned user)
+        if (!!users[0].is_banned !== isBanned) {
+            await notify(targetId, isBanned ? 'account_banned' : 'account_unbanned');
+        }
+
+        sendSuccess(res, { is_banned: isBanned, message: `User ${targetId} ${isBanned ? 'banned' : 'unbanned'}.` });
+
+    } catch (error) {
+        console.error('ToggleBan failed:', error.message);
+        sendError(res, `Failed to update ban status: ${error.message}`, 500);
+    }
+}
+
+
+/**
+ * ADMIN HANDLER: type: "getSettings"
+ */
+async function handleGetSettings(req, res, body) {
+    try {
+        const settings = await getSettings();
+        const descriptions = Object.fromEntries(Object.entries(SETTINGS_SCHEMA).map(([key, definition]) => [key, definition.description]));
+
+        sendSuccess(res, { settings, descriptions, spin_wheel_stats: describeWheel(settings.spin_wheel) });
+    } catch (error) {
+        console.error('GetSettings failed:', error.message);
+        sendError(res, `Failed to load settings: ${error.message}`, 500);
+    }
+}
+
+/**
+ * ADMIN HANDLER: type: "updateSettings"
+ * Partial update: body.settings only needs the keys being changed.
+ */
+async function handleUpdateSettings(req, res, body) {
+    const { admin_id, action_id, settings } = body;
+
+    const errors = validateSettings(settings);
+    if (errors.length > 0) {
+        return sendError(res, errors.join(' '), 400);
+    }
+    if (Object.keys(settings).length === 0) {
+        return sendError(res, 'Nothing to update.', 400);
+    }
+
+    if (!await validateAndUseActionId(res, admin_id, action_id, 'updateSettings')) return;
+
+    try {
+        const current = await getSettings();
+        const updated = await updateSettings(settings, admin_id);
+        await auditAdminAction(req, body, {
+            action: 'settings.updated',
+            before: Object.fromEntries(Object.keys(settings).map(key => [key, current[key]])),
+            after: Object.fromEntries(Object.keys(settings).map(key => [key, updated[key]]))
+        });
+        sendSuccess(res, { settings: updated, spin_wheel_stats: describeWheel(updated.spin_wheel), message: 'Settings updated.' });
+    } catch (error) {
+        console.error('UpdateSettings failed:', error.message);
+        sendError(res, `Failed to update settings: ${error.message}`, 500);
+    }
+}
+
+/**
+ * ADMIN HANDLER: type: "createTask"
+ */
+async function handleCreateTask(req, res, body) {
+    const { admin_id, action_id, name, link, note } = body;
+    const reward = body.reward === undefined || body.reward === '' ? (await getSettings()).task_reward : parseFloat(body.reward);
+    const maxParticipants = body.max_participants ? parseInt(body.max_participants) : null;
+
+    if (!name || !String(name).trim()) {
+        return sendError(res, 'Task name is required.', 400);
+    }
+    if (!extractChannelUsername(link)) {
+        return sendError(res, 'Task link must be a public channel link (https://t.me/username or @username).', 400);
+    }
+    if (isNaN(reward) || reward < 0) {
+        return sendError(res, 'Reward must be a non-negative number.', 400);
+    }
+    if (maxParticipants !== null && (isNaN(maxParticipants) || maxParticipants < 1)) {
+        return sendError(res, 'max_participants must be a positive integer.', 400);
+    }
+
+    if (!await validateAndUseActionId(res, admin_id, action_id, 'createTask')) return;
+
+    try {
+        const tasks = await storage.insert('tasks', {
+            name: String(name).trim(),
+            link: String(link).trim(),
+            reward,
+            max_participants: maxParticipants,
+            note: note || null,
+            created_by: admin_id
+        }, { columns: TASK_COLUMNS });
+
+        const [task = null] = await formatTasks(tasks);
+        await auditAdminAction(req, body, { action: 'task.created', targetId: task && task.task_id, after: task });
+        sendSuccess(res, { task, message: 'Task created.' });
+
+    } catch (error) {
+        console.error('CreateTask failed:', error.message);
+        sendError(res, `Failed to create task: ${error.message}`, 500);
+    }
+}
+
+/**
+ * ADMIN HANDLER: type: "updateTask"
+ * Partial edit: only the fields present in the body are changed. is_active pauses/resumes the task.
+ */
+async function handleUpdateTask(req, res, body) {
+    const { admin_id, action_id, task_id } = body;
+    const taskId = parseInt(task_id);
+    const updatePayload = {};
+
+    if (!taskId) {
+        return sendError(res, 'Missing task_id.', 400);
+    }
+
+    if (body.name !== undefined) {
+        if (!String(body.name).trim()) {
+            return sendError(res, 'Task name cannot be empty.', 400);
+        }
+        updatePayload.name = String(body.name).trim();
+    }
+    if (body.link !== undefined) {
+        if (!extractChannelUsername(body.link)) {
+            return sendError(res, 'Task link must be a public channel link (https://t.me/username or @username).', 400);
+        }
+        updatePayload.link = String(body.link).trim();
+    }
+    if (body.reward !== undefined) {
+        const reward = parseFloat(body.reward);
+        if (isNaN(reward) || reward < 0) {
+            return sendError(res, 'Reward must be a non-negative number.', 400);
+        }
+        updatePayload.reward = reward;
+    }
+    if (body.max_participants !== undefined) {
+        const maxParticipants = body.max_participants === null || body.max_participants === '' ? null : parseInt(body.max_participants);
+        if (maxParticipants !== null && (isNaN(maxParticipants) || maxParticipants < 1)) {
+            return sendError(res, 'max_participants must be a positive integer.', 400);
+        }
+        updatePayload.max_participants = maxParticipants;
+    }
+    if (body.note !== undefined) {
+        updatePayload.note = body.note || null;
+    }
+    if (body.is_active !== undefined) {
+        updatePayload.is_active = body.is_active === true || body.is_active === 'true';
+    }
+
+    if (Object.keys(updatePayload).length === 0) {
+        return sendError(res, 'Nothing to update.', 400);
+    }
+
+    if (!await validateAndUseActionId(res, admin_id, action_id, 'updateTask')) return;
+
+    try {
+        // 1. Fetch the task with its current participant count
+        const tasks = await storage.select('tasks', { where: { id: taskId }, columns: TASK_COLUMNS });
+        if (!Array.isArray(tasks) || tasks.length === 0) {
+            return sendError(res, 'Task not found.', 404);
+        }
+
+        // 2. The cap cannot drop below the users who already completed the task
+        const [{ completions_count }] = await formatTasks(tasks);
+        if (updatePayload.max_participants && updatePayload.max_participants < completions_count) {
+            return sendError(res, `max_participants cannot be lower than the current completions (${completions_count}).`, 400);
+        }
+
+        updatePayload.updated_at = new Date().toISOString();
+
+        const updated = await storage.update('tasks', { id: taskId }, updatePayload, { columns: TASK_COLUMNS });
+        const [task = null] = await formatTasks(updated);
+        await auditAdminAction(req, body, {
+            action: 'task.updated',
+            targetId: taskId,
+            before: Object.fromEntries(Object.keys(updatePayload).filter(key => key !== 'updated_at').map(key => [key, tasks[0][key] === undefined ? null : tasks[0][key]])),
+            after: Object.fromEntries(Object.keys(updatePayload).filter(key => key !== 'updated_at').map(key => [key, updatePayload[key]]))
+        });
+
+        sendSuccess(res, { task, message: 'Task updated.' });
+
+    } catch (error) {
+        console.error('UpdateTask failed:', error.message);
+        sendError(res, `Failed to update task: ${error.message}`, 500);
+    }
+}
+
+/**
+ * ADMIN HANDLER: type: "deleteTask"
+ * Only tasks nobody has completed can be deleted: task_completions is what stops users from
+ * claiming a task twice, so it is kept (ON DELETE RESTRICT). Tasks with completions are paused instead.
+ */
+async function handleDeleteTask(req, res, body) {
+    const { admin_id, action_id, task_id } = body;
+    const taskId = parseInt(task_id);
+
+    if (!taskId) {
+        return sendError(res, 'Missing task_id.', 400);
+    }
+
+    if (!await validateAndUseActionId(res, admin_id, action_id, 'deleteTask')) return;
+
+    try {
+        const completions = await storage.count('task_completions', { where: { task_id: taskId } });
+        if (completions > 0) {
+            return sendError(res, `Task ${taskId} has ${completions} completions and cannot be deleted. Pause it instead.`, 409);
+        }
+
+        const deleted = await storage.remove('tasks', { id: taskId });
+        if (!Array.isArray(deleted) || deleted.length === 0) {
+            return sendError(res, 'Task not found.', 404);
+        }
+        await auditAdminAction(req, body, { action: 'task.deleted', targetId: taskId, before: deleted[0] });
+
+        sendSuccess(res, { message: `Task ${taskId} deleted.` });
+
+    } catch (error) {
+        console.error('DeleteTask failed:', error.message);
+        sendError(res, `Failed to delete task: ${error.message}`, 500);
+    }
+}
+
+// ------------------------------------------------------------------
+// 🤖 Telegram Bot Webhook (POST /api?bot_webhook=1)
+// ------------------------------------------------------------------
+const BOT_WITHDRAWALS_SHOWN = 5;
+
+const BOT_HELP_TEXT = [
+    '<b>SHIB Ads bot</b>',
+    '',
+    'Watch ads, spin the wheel and complete tasks in the app to earn SHIB.',
+    '',
+    '/balance – your SHIB balance',
+    '/withdrawals – your latest withdrawal requests',
+    '/help – this message',
+].join('\n');
+
+async function botStart(userId, args, from) {
+    const { status, referral } = await registerUser(userId, args[0], telegramProfile(from), args[0] || null);
+    if (status === 'banned') {
+        return sendMessage(userId, 'Your account is banned.', { withAppButton: false });
+    }
+
+    let text = status === 'created' ? '👋 Welcome! Your account is ready.' : '👋 Welcome back!';
+    if (referral && referral.accepted) {
+        text += '\nYou joined through a friend\'s invite.';
+    }
+    return sendMessage(userId, `${text}\n\nOpen the app to start earning SHIB.\n\n${BOT_HELP_TEXT}`);
+}
+
+async function botBalance(userId) {
+    const users = await storage.select('users', { where: { id: userId }, columns: ['balance', 'is_banned'] });
+    if (!Array.isArray(users) || users.length === 0) {
+        return sendMessage(userId, 'You are not registered yet. Send /start to begin.');
+    }
+    if (users[0].is_banned) {
+        return sendMessage(userId, 'Your account is banned.', { withAppButton: false });
+    }
+    return sendMessage(userId, `💰 Balance: <b>${Number(users[0].balance).toLocaleString('en-US')} SHIB</b>`);
+}
+
+async function botWithdrawals(userId) {
+    const withdrawals = await storage.select('withdrawals', {
+        where: { user_id: userId },
+        columns: ['amount', 'status', 'created_at', 'rejection_reason'],
+        order: { column: 'created_at', ascending: false },
+        limit: BOT_WITHDRAWALS_SHOWN
+    });
+    if (!Array.isArray(withdrawals) || withdrawals.length === 0) {
+        return sendMessage(userId, 'You have no withdrawal requests yet.');
+    }
+
+    const lines = withdrawals.map(w => {
+        const date = String(w.created_at).slice(0, 10);
+        const reason = w.status === 'rejected' && w.rejection_reason ? ` (${escapeHtml(w.rejection_reason)})` : '';
+        return `• ${date}: ${Number(w.amount).toLocaleString('en-US')} SHIB – <b>${w.status}</b>${reason}`;
+    });
+    return sendMessage(userId, `🏦 Latest withdrawals:\n${lines.join('\n')}`);
+}
+
+/**
+ * Telegram update handler. Only private-chat messages are handled: text commands are answered, and any
+ * message clears users.bot_blocked_at (the user can be notified again) and refreshes their profile.
+ * Always answers 200 once authenticated, so Telegram does not redeliver an update that failed on our side.
+ */
+async function handleBotWebhook(req, res, update) {
+    if (!isValidWebhookRequest(req.headers)) {
+        console.warn('Rejected bot webhook request: missing or wrong secret token.');
+        return sendError(res, 'Invalid webhook secret.', 401);
+    }
+
+    const message = update && update.message;
+    if (!message || !message.from || !message.chat || message.chat.type !== 'private') {
+        return sendSuccess(res);
+    }
+
+    const userId = parseInt(message.from.id);
+    const command = parseCommand(message.text);
+    try {
+        switch (command ? command.command : null) {
+            case null:
+                break;
+            case 'start':
+                await botStart(userId, command.args, message.from);
+                break;
+            case 'balance':
+                await botBalance(userId);
+                break;
+            case 'withdrawals':
+                await botWithdrawals(userId);
+                break;
+            case 'help':
+                await sendMessage(userId, BOT_HELP_TEXT);
+                break;
+            default:
+                await sendMessage(userId, `Unknown command. ${BOT_HELP_TEXT}`);
+                break;
+        }
+
+        // Writing to the bot means it is not blocked (anymore); keep the profile (and language) current
+        await storage.update('users', { id: userId }, { bot_blocked_at: null, ...telegramProfile(message.from) });
+    } catch (error) {
+        console.error(`Bot update from ${userId} failed:`, error.message);
+    }
+    sendSuccess(res);
+}
+
+/**
+ * HANDLER: type: "getLeaderboard"
+ * body.metric: ads | earned | referrals (default earned), body.period: weekly | monthly (default weekly).
+ * Returns the top of the current period, the caller's own rank and the running contests for it.
+ */
+async function handleGetLeaderboard(req, res, body) {
+    const { user_id } = body;
+    const id = parseInt(user_id);
+    const metric = body.metric || 'earned';
+    const period = body.period || 'weekly';
+    const limit = Math.min(Math.max(parseInt(body.limit) || LEADERBOARD_PAGE_SIZE, 1), LEADERBOARD_MAX_PAGE_SIZE);
+
+    if (!METRICS[metric]) {
+        return sendError(res, `metric must be one of: ${Object.keys(METRICS).join(', ')}.`, 400);
+    }
+    if (!PERIODS.includes(period)) {
+        return sendError(res, `period must be one of: ${PERIODS.join(', ')}.`, 400);
+    }
+
+    try {
+        await processDueContests();
+
+        const range = periodRange(period);
+        const standings = await computeStandings(metric, range, { limit, userId: id });
+
+        const contests = await storage.select('contests', {
+            where: { status: 'active', metric, period, starts_at: range.starts_at },
+            columns: ['id', 'name', 'prize_pool', 'prize_shares', 'ends_at']
+        });
+
+        sendSuccess(res, {
+            metric,
+            period,
+            starts_at: range.starts_at,
+            ends_at: range.ends_at,
+            top: standings.top,
+            me: standings.me,
+            participants: standings.participants,
+            contests: contests || []
+        });
+    } catch (error) {
+        console.error('GetLeaderboard failed:', error.message);
+        sendError(res, `Failed to load leaderboard: ${error.message}`, 500);
+    }
+}
+
+/**
+ * ADMIN HANDLER: type: "getContests"
+ * Newest contests first. Active contests include a live preview of the winners; contests in
+ * review show the frozen results that will be paid at payout_due_at.
+ */
+async function handleGetContests(req, res, body) {
+    try {
+        await processDueContests({ force: true });
+
+        const contests = await storage.select('contests', {
+            columns: CONTEST_COLUMNS,
+            order: { column: 'created_at', ascending: false },
+            limit: 50
+        });
+
+        const withPreview = await Promise.all((contests || []).map(async contest => (
+            contest.status === 'active' ? { ...contest, preview: await computeResults(contest) } : contest
+        )));
+
+        sendSuccess(res, { contests: withPreview });
+    } catch (error) {
+        console.error('GetContests failed:', error.message);
+        sendError(res, `Failed to load contests: ${error.message}`, 500);
+    }
+}
+
+/**
+ * ADMIN HANDLER: type: "createContest"
+ * body: name, metric, period, start ('current' | 'next'), prize_pool, prize_shares or winners_count.
+ */
+async function handleCreateContest(req, res, body) {
+    const { admin_id, action_id } = body;
+
+    const { errors, contest } = buildContest(body);
+    if (errors.length > 0) {
+        return sendError(res, errors.join(' '), 400);
+    }
+
+    if (!await validateAndUseActionId(res, admin_id, action_id, 'createContest')) return;
+
+    try {
+        const created = await storage.insert('contests', { ...contest, created_by: admin_id }, { columns: CONTEST_COLUMNS });
+        const createdContest = Array.isArray(created) ? created[0] : null;
+        await auditAdminAction(req, body, { action: 'contest.created', targetId: createdContest && createdContest.id, after: createdContest });
+        sendSuccess(res, { contest: createdContest, message: 'Contest created.' });
+    } catch (error) {
+        console.error('CreateContest failed:', error.message);
+        sendError(res, `Failed to create contest: ${error.message}`, 500);
+    }
+}
+
+/**
+ * ADMIN HANDLER: type: "contestAction"
+ * action: cancel     (active or review, nothing is paid)
+ *         disqualify (review only; body.target_user_id is removed and the results recomputed)
+ *         pay        (review only; pays now instead of waiting for payout_due_at, or resumes a
+ *                     payout that stopped halfway in 'paying')
+ */
+async function handleContestAction(req, res, body) {
+    const { admin_id, action_id, action } = body;
+    const contestId = parseInt(body.contest_id);
+
+    if (isNaN(contestId)) {
+        return sendError(res, 'Missing or invalid contest_id.', 400);
+    }
+    if (!['cancel', 'disqualify', 'pay'].includes(action)) {
+        return sendError(res, 'action must be cancel, disqualify or pay.', 400);
+    }
+
+    if (!await validateAndUseActionId(res, admin_id, action_id, 'contestAction')) return;
+
+    try {
+        const contests = await storage.select('contests', { where: { id: contestId }, columns: CONTEST_COLUMNS });
+        if (!Array.isArray(contests) || contests.length === 0) {
+            return sendError(res, 'Contest not found.', 404);
+        }
+        const contest = contests[0];
+
+        if (action === 'cancel') {
+            if (!['active', 'review'].includes(contest.status)) {
+                return sendError(res, `A ${contest.status} contest cannot be cancelled.`, 409);
+            }
+            const updated = await storage.update('contests', { id: contestId, status: contest.status }, { status: 'cancelled' }, { columns: ['id'] });
+            if (!Array.isArray(updated) || updated.length === 0) {
+                return sendError(res, 'Contest changed meanwhile. Reload and try again.', 409);
+            }
+            await auditAdminAction(req, body, { action: 'contest.cancelled', targetId: contestId, before: { status: contest.status }, after: { status: 'cancelled' } });
+            return sendSuccess(res, { message: `Contest ${contestId} cancelled.` });
+        }
+
+        // A payout that was interrupted ('paying') can be resumed
+        if (contest.status !== 'review' && !(action === 'pay' && contest.status === 'paying')) {
+            return sendError(res, `Only contests in review can be ${action === 'pay' ? 'paid' : 'changed'} (status: ${contest.status}).`, 409);
+        }
+
+        if (action === 'disqualify') {
+            const targetId = parseInt(body.target_user_id);
+            if (isNaN(targetId)) {
+                return sendError(res, 'Missing or invalid target_user_id.', 400);
+            }
+            const disqualified = Array.from(new Set([...(contest.disqualified || []).map(Number), targetId]));
+            const results = await computeResults({ ...contest, disqualified });
+            const updated = await storage.update('contests', { id: contestId, status: 'review' }, { disqualified, results }, { columns: CONTEST_COLUMNS });
+            if (!Array.isArray(updated) || updated.length === 0) {
+                return sendError(res, 'Contest changed meanwhile. Reload and try again.', 409);
+            }
+            await auditAdminAction(req, body, {
+                action: 'contest.disqualified',
+                targetId: contestId,
+                before: { disqualified: contest.disqualified || [], results: contest.results },
+                after: { disqualified, results }
+            });
+            return sendSuccess(res, { contest: updated[0], message: `User ${targetId} disqualified from contest ${contestId}.` });
+        }
+
+        const paid = await payContest(contest, admin_id);
+        if (!paid) {
+            return sendError(res, 'Contest changed meanwhile. Reload and try again.', 409);
+        }
+        await auditAdminAction(req, body, { action: 'contest.paid', targetId: contestId, before: { status: contest.status }, after: { status: 'paid', paid } });
+        sendSuccess(res, { paid, message: `Contest ${contestId} paid to ${paid.length} winners.` });
+    } catch (error) {
+        console.error('ContestAction failed:', error.message);
+        sendError(res, `Failed to update contest: ${error.message}`, 500);
+    }
+}
+
+/**
+ * ADMIN HANDLER: type: "getAuditLog"
+ * Newest first, paginated with limit/offset. Filters: actor_id, action, target_type, target_id,
+ * from / to (dates, to exclusive).
+ */
+async function handleGetAuditLog(req, res, body) {
+    if (body.action && !AUDIT_ACTIONS[body.action]) {
+        return sendError(res, `action must be one of: ${Object.keys(AUDIT_ACTIONS).join(', ')}.`, 400);
+    }
+    if (body.actor_id && isNaN(parseInt(body.actor_id))) {
+        return sendError(res, 'actor_id must be a user id.', 400);
+    }
+    if ([body.from, body.to].some(date => date && isNaN(new Date(date).getTime()))) {
+        return sendError(res, 'from and to must be valid dates.', 400);
+    }
+
+    try {
+        const page = await queryAuditLog(body);
+        sendSuccess(res, { ...page, actions: Object.keys(AUDIT_ACTIONS) });
+    } catch (error) {
+        console.error('GetAuditLog failed:', error.message);
+        sendError(res, `Failed to load the audit log: ${error.message}`, 500);
+    }
+}
+
+/**
+ * ADMIN HANDLER: type: "getStats"
+ * Dashboard numbers for from / to (dates, to exclusive; default the last 7 days): active users,
+ * ads and spins per hour, SHIB credited per source and the current liability. See lib/stats.js.
+ */
+async function handleGetStats(req, res, body) {
+    if ([body.from, body.to].some(date => date && isNaN(new Date(date).getTime()))) {
+        return sendError(res, 'from and to must be valid dates.', 400);
+    }
+
+    const range = statsRange(body.from, body.to);
+    if (range.days < 1) {
+        return sendError(res, 'from must be before to.', 400);
+    }
+    if (range.days > STATS_MAX_RANGE_DAYS) {
+        return sendError(res, `The range cannot be longer than ${STATS_MAX_RANGE_DAYS} days.`, 400);
+    }
+
+    try {
+        sendSuccess(res, await computeStats(range));
+    } catch (error) {
+        console.error('GetStats failed:', error.message);
+        sendError(res, `Failed to load stats: ${error.message}`, 500);
+    }
+}
+
+
+// --- Main Handler for Vercel/Serverless ---
+module.exports = async (req, res) => {
+  // CORS configuration
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Access-Control-Expose-Headers', 'Retry-After');
+
+  if (req.method === 'OPTIONS') {
+    return sendSuccess(res);
+  }
+
+  // ⬅️ Ad network postbacks (server-to-server, signed; GET or POST)
+  const query = new URL(req.url || '/', 'http://localhost').searchParams;
+  if (query.has('ad_callback')) {
+    let params = Object.fromEntries(query.entries());
+    if (req.method === 'POST') {
+      try {
+        params = { ...parseCallbackBody(await readRequestBody(req)), ...params };
+      } catch (error) {
+        return sendError(res, error.message, 400);
+      }
+    }
+    return handleAdCallback(req, res, query.get('ad_callback'), params);
+  }
+
+  // ⬅️ Telegram bot webhook (authenticated by the secret-token header, not initData)
+  if (query.has('bot_webhook')) {
+    if (req.method !== 'POST') {
+      return sendError(res, `Method ${req.method} not allowed. Only POST is supported.`, 405);
+    }
+    let update;
+    try {
+      update = JSON.parse(await readRequestBody(req));
+    } catch (error) {
+      return sendError(res, 'Invalid JSON payload.', 400);
+    }
+    return handleBotWebhook(req, res, update);
+  }
+
+  if (req.method !== 'POST') {
+    return sendError(res, `Method ${req.method} not allowed. Only POST is supported.`, 405);
+  }
+
+  let body;
+  try {
+    body = JSON.parse(await readRequestBody(req));
+  } catch (error) {
+    return sendError(res, error instanceof SyntaxError ? 'Invalid JSON payload.' : error.message, 400);
+  }
+
+  if (!body || !body.type) {
+    return sendError(res, 'Missing "type" field in the request body.', 400);
+  }
+
+  // ⬅️ initData Security Check (every request type, no exemptions)
+  const auth = verifyInitData(body.initData);
+  if (!auth) {
+      return sendError(res, 'Invalid or expired initData. Security check failed.', 401);
+  }
+
+  // ⬅️ The caller is the signed initData user; a body.user_id may only repeat it
+  if (body.user_id !== undefined && body.user_id !== null && String(body.user_id) !== String(auth.user.id)) {
+      console.warn(`Rejected ${body.type}: body.user_id ${body.user_id} does not match initData user ${auth.user.id}.`);
+      return sendError(res, 'user_id does not match the authenticated Telegram user.', 403);
+  }
+  body.user_id = auth.user.id;
+  body.auth = auth;
+
+  // ⬅️ Admin Authorization Check (caller id is taken from the validated initData)
+  if (Object.prototype.hasOwnProperty.call(ADMIN_ROUTE_PERMISSIONS, body.type)) {
+      const callerId = auth.user.id;
+      const role = await getAdminRole(callerId);
+      if (!role) {
+          return sendError(res, 'Admin privileges required.', 403);
+      }
+
+      const rule = ADMIN_ROUTE_PERMISSIONS[body.type];
+      const permission = typeof rule === 'function' ? rule(body) : rule;
+      if (!hasAdminPermission(role, permission)) {
+          return sendError(res, `Your admin role (${role}) cannot perform ${body.type}.`, 403);
+      }
+
+      body.admin_id = callerId;
+      body.admin_role = role;
+  }
+
+  // ⬅️ Rate Limit Check (token buckets per action, for the user and the client IP)
+  const rateLimitAction = Object.prototype.hasOwnProperty.call(ADMIN_ROUTE_PERMISSIONS, body.type) ? 'admin' : body.type;
+  if (RATE_LIMIT_ACTIONS.includes(rateLimitAction)) {
+      const { rate_limits } = await getSettings();
+      const limit = await consumeRateLimit(rate_limits, rateLimitAction, { userId: body.user_id, ip: getClientIp(req) });
+      if (!limit.ok) {
+          return sendRateLimited(res, limit.retry_after_ms);
+      }
+  }
+
+  // Route the request based on the 'type' field
+  switch (body.type) {
+    case 'getUserData':
+      await handleGetUserData(req, res, body);
       break;
     case 'register':
       await handleRegister(req, res, body);
@@ -898,8 +2544,11 @@ module.exports = async (req, res) => {
     case 'watchAd':
       await handleWatchAd(req, res, body);
       break;
-    case 'commission':
-      await handleCommission(req, res, body);
+    case 'startAdView':
+      await handleStartAdView(req, res, body);
+      break;
+    case 'claimDailyBonus':
+      await handleClaimDailyBonus(req, res, body);
       break;
     case 'preSpin': 
       await handlePreSpin(req, res, body);
@@ -907,17 +2556,84 @@ module.exports = async (req, res) => {
     case 'spinResult': 
       await handleSpinResult(req, res, body);
       break;
+    case 'verifySpin':
+      await handleVerifySpin(req, res, body);
+      break;
+    case 'getReferralStats':
+      await handleGetReferralStats(req, res, body);
+      break;
     case 'withdraw':
       await handleWithdraw(req, res, body);
       break;
-    case 'completeTask': // ⬅️ NEW: Handle the new task logic
+    case 'getTasks':
+      await handleGetTasks(req, res, body);
+      break;
+    case 'completeTask':
       await handleCompleteTask(req, res, body);
       break;
     case 'generateActionId': 
       await handleGenerateActionId(req, res, body);
       break;
+    case 'getAdminProfile':
+      await handleGetAdminProfile(req, res, body);
+      break;
+    case 'getPendingWithdrawals':
+      await handleGetPendingWithdrawals(req, res, body);
+      break;
+    case 'adminAction':
+      await handleAdminAction(req, res, body);
+      break;
+    case 'getUsers':
+      await handleGetUsers(req, res, body);
+      break;
+    case 'getUserDetails':
+      await handleGetUserDetails(req, res, body);
+      break;
+    case 'updateBalance':
+      await handleUpdateBalance(req, res, body);
+      break;
+    case 'toggleBan':
+      await handleToggleBan(req, res, body);
+      break;
+    case 'getSettings':
+      await handleGetSettings(req, res, body);
+      break;
+    case 'updateSettings':
+      await handleUpdateSettings(req, res, body);
+      break;
+    case 'createTask':
+      await handleCreateTask(req, res, body);
+      break;
+    case 'updateTask':
+      await handleUpdateTask(req, res, body);
+      break;
+    case 'deleteTask':
+      await handleDeleteTask(req, res, body);
+      break;
+    case 'getLeaderboard':
+      await handleGetLeaderboard(req, res, body);
+      break;
+    case 'getContests':
+      await handleGetContests(req, res, body);
+      break;
+    case 'createContest':
+      await handleCreateContest(req, res, body);
+      break;
+    case 'contestAction':
+      await handleContestAction(req, res, body);
+      break;
+    case 'getAuditLog':
+      await handleGetAuditLog(req, res, body);
+      break;
+    case 'getStats':
+      await handleGetStats(req, res, body);
+      break;
     default:
       sendError(res, `Unknown request type: ${body.type}`, 400);
       break;
   }
+
+  // ⬅️ Send queued bot notifications (including any this request queued) once the response has
+  // been sent, so the caller never waits for Telegram (throttled per instance; there is no background worker)
+  await processNotificationQueue();
 };
\ No newline at end of file
@@ -0,0 +1,105 @@
+// /lib/adNetworks.js
+
+/**
+ * Ad networks and their server-to-server reward callbacks (postbacks).
+ *
+ * Configured with the AD_NETWORKS environment variable (JSON), e.g.
+ *   {
+ *     "adsgram":  { "secret": "...", "verify": "token" },
+ *     "monetag":  { "secret": "...", "verify": "hmac", "params": { "view_id": "ymid" } },
+ *     "fake":     { "secret": "dev-secret", "verify": "hmac" }
+ *   }
+ *
+ * - verify "hmac":  the callback carries signature = HMAC-SHA256(secret, `${view_id}:${user_id}`) (hex)
+ * - verify "token": the callback carries the shared secret itself as token (static reward URL)
+ * - callback false: no postback. Such entries only name a network; whether the client-claimed
+ *   watchAd path is open is decided by the config as a whole: it is refused as soon as any
+ *   callback network is configured, whatever network the client names
+ * - params renames the query parameters a network sends (view_id, user_id, signature, token)
+ *
+ * "fake" is an ordinary hmac network meant for local testing: scripts/fake-ad-network.js
+ * signs and sends its callbacks.
+ */
+const crypto = require('crypto');
+
+const VERIFY_METHODS = ['hmac', 'token'];
+const DEFAULT_PARAMS = { view_id: 'view_id', user_id: 'user_id', signature: 'signature', token: 'token' };
+
+let networks = null;
+
+function loadNetworks() {
+    const raw = process.env.AD_NETWORKS;
+    if (!raw) return {};
+
+    let config;
+    try {
+        config = JSON.parse(raw);
+    } catch (error) {
+        throw new Error(`AD_NETWORKS is not valid JSON: ${error.message}`);
+    }
+
+    return Object.fromEntries(Object.entries(config).map(([name, network]) => {
+        const callback = network.callback !== false;
+        const verify = network.verify || 'hmac';
+        if (callback && (!network.secret || !VERIFY_METHODS.includes(verify))) {
+            throw new Error(`Ad network ${name} needs a secret and verify set to one of: ${VERIFY_METHODS.join(', ')}.`);
+        }
+        return [name, { name, callback, verify, secret: network.secret || null, params: { ...DEFAULT_PARAMS, ...(network.params || {}) } }];
+    }));
+}
+
+function getNetworks() {
+    if (!networks) networks = loadNetworks();
+    return networks;
+}
+
+/**
+ * Returns the configured network or null.
+ */
+function getAdNetwork(name) {
+    const all = getNetworks();
+    return Object.prototype.hasOwnProperty.call(all, name) ? all[name] : null;
+}
+
+function hasAdNetworks() {
+    return Object.keys(getNetworks()).length > 0;
+}
+
+/**
+ * True when at least one configured network confirms views by callback; client-claimed ads
+ * (watchAd) are then refused.
+ */
+function hasCallbackNetworks() {
+    return Object.values(getNetworks()).some(network => network.callback);
+}
+
+function signCallback(secret, viewId, userId) {
+    return crypto.createHmac('sha256', secret).update(`${viewId}:${userId}`).digest('hex');
+}
+
+function safeEqual(a, b) {
+    const left = Buffer.from(String(a || ''));
+    const right = Buffer.from(String(b || ''));
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Reads a callback's parameters using the network's parameter names and checks its signature.
+ * Returns { ok, viewId, userId } or { ok: false, error }.
+ */
+function verifyCallback(network, params) {
+    const viewId = params[network.params.view_id];
+    const userId = params[network.params.user_id];
+
+    if (!viewId) {
+        return { ok: false, error: 'Missing view id.' };
+    }
+
+    const valid = network.verify === 'token'
+        ? safeEqual(params[network.params.token], network.secret)
+        : safeEqual(params[network.params.signature], signCallback(network.secret, viewId, userId || ''));
+
+    return valid ? { ok: true, viewId: String(viewId), userId: userId ? String(userId) : null } : { ok: false, error: 'Invalid callback signature.' };
+}
+
+module.exports = { getAdNetwork, hasAdNetworks, hasCallbackNetworks, signCallback, verifyCallback };
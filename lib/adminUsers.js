@@ -0,0 +1,187 @@
+// /lib/adminUsers.js
+
+/**
+ * User directory for the admin panel: a searchable, sortable user list and a detail view per user.
+ *
+ * The list reads the admin_user_overview view (users plus total_earned from the ledger and
+ * referrals_count), so sorting by earnings or referrals is done by the database.
+ *
+ * Search fields (search_by):
+ *   id         - exact user id
+ *   username   - part of the username or first name (a leading @ is ignored)
+ *   binance_id - part of a Binance ID used in any of the user's withdrawal requests
+ *   referrer   - the users referred by this user id
+ */
+const storage = require('./storage');
+
+const USER_PAGE_SIZE = 50;
+const USER_MAX_PAGE_SIZE = 200;
+const USER_LIST_COLUMNS = ['user_id:id', 'username', 'first_name', 'balance', 'is_banned', 'ref_by', 'created_at', 'last_activity', 'total_earned', 'referrals_count'];
+const USER_SORTS = ['balance', 'total_earned', 'referrals_count', 'last_activity', 'created_at'];
+const USER_SEARCH_FIELDS = ['id', 'username', 'binance_id', 'referrer'];
+const BINANCE_MATCH_LIMIT = 1000; // withdrawals scanned for a Binance ID search
+
+// Detail view: the newest rows of each history are returned, the totals cover everything
+const DETAIL_HISTORY_LIMIT = 50;
+const REFERRAL_TREE_LEVEL_LIMIT = 200; // referees listed per level; deeper levels only expand these
+
+/**
+ * Text for an ilike pattern, without the characters that are wildcards or PostgREST syntax.
+ */
+function likeTerm(query) {
+    return String(query).trim().replace(/[%*,()"\\:]/g, '');
+}
+
+/**
+ * The where / or filter for a search, or null when nothing can match.
+ */
+async function searchFilter(searchBy, query) {
+    if (searchBy === 'id') return { where: { id: parseInt(query) } };
+    if (searchBy === 'referrer') return { where: { ref_by: parseInt(query) } };
+
+    if (searchBy === 'username') {
+        const term = likeTerm(query).replace(/^@/, '');
+        if (!term) return null;
+        return { or: [{ username: { ilike: `%${term}%` } }, { first_name: { ilike: `%${term}%` } }] };
+    }
+
+    // binance_id: the users behind the matching withdrawal requests
+    const term = likeTerm(query);
+    if (!term) return null;
+    const withdrawals = await storage.select('withdrawals', {
+        where: { binance_id: { ilike: `%${term}%` } },
+        columns: ['user_id'],
+        limit: BINANCE_MATCH_LIMIT
+    });
+    const userIds = [...new Set((withdrawals || []).map(w => w.user_id))];
+    return userIds.length > 0 ? { where: { id: userIds } } : null;
+}
+
+/**
+ * One page of users. Filters: search_by + query, sort (one of USER_SORTS, default created_at),
+ * order ('asc' | 'desc', default desc), limit, offset. Returns { users, total, limit, offset, sort, order }.
+ */
+async function listUsers(filters = {}) {
+    const sort = USER_SORTS.includes(filters.sort) ? filters.sort : 'created_at';
+    const order = filters.order === 'asc' ? 'asc' : 'desc';
+    const limit = Math.min(Math.max(parseInt(filters.limit) || USER_PAGE_SIZE, 1), USER_MAX_PAGE_SIZE);
+    const offset = Math.max(parseInt(filters.offset) || 0, 0);
+    const page = { users: [], total: 0, limit, offset, sort, order };
+
+    const query = filters.query === undefined || filters.query === null ? '' : String(filters.query).trim();
+    const filter = query ? await searchFilter(filters.search_by, query) : {};
+    if (!filter) return page;
+
+    const users = await storage.select('admin_user_overview', {
+        ...filter,
+        columns: USER_LIST_COLUMNS,
+        // Users who were never active go last either way; id keeps pages stable on ties
+        order: [{ column: sort, ascending: order === 'asc', nullsLast: true }, { column: 'id', ascending: true }],
+        limit,
+        offset
+    });
+    page.total = await storage.count('admin_user_overview', filter);
+    page.users = (users || []).map(user => ({
+        ...user,
+        total_earned: Number(user.total_earned) || 0,
+        referrals_count: Number(user.referrals_count) || 0
+    }));
+    return page;
+}
+
+/**
+ * Referees of the user, level by level (level 1 = direct referees), as deep as the commission
+ * tiers go. Returns [{ level, total, users }]; each user has ref_by so the panel can nest them.
+ */
+async function referralTree(userId, depth) {
+    const levels = [];
+    let parentIds = [userId];
+
+    for (let level = 1; level <= depth && parentIds.length > 0; level++) {
+        const where = { ref_by: parentIds };
+        const [users, total] = await Promise.all([
+            storage.select('users', {
+                where,
+                columns: ['user_id:id', 'username', 'first_name', 'ref_by', 'balance', 'is_banned', 'referral_qualified_at', 'created_at'],
+                order: { column: 'created_at', ascending: false },
+                limit: REFERRAL_TREE_LEVEL_LIMIT
+            }),
+            storage.count('users', { where })
+        ]);
+        if (total === 0) break;
+
+        levels.push({ level, total, users: users || [] });
+        parentIds = (users || []).map(user => user.user_id);
+    }
+    return levels;
+}
+
+/**
+ * Newest rows of a user's history plus the total row count: { total, items }.
+ */
+async function history(table, where, columns) {
+    const [items, total] = await Promise.all([
+        storage.select(table, { where, columns, order: { column: 'created_at', ascending: false }, limit: DETAIL_HISTORY_LIMIT }),
+        storage.count(table, { where })
+    ]);
+    return { total, items: items || [] };
+}
+
+/**
+ * Everything the admin detail view shows about one user, or null when the user does not exist:
+ * profile and totals, referrer, referral tree, withdrawals, spins, commissions and task completions.
+ */
+async function getUserDetails(userId, settings) {
+    const [users, overview] = await Promise.all([
+        storage.select('users', {
+            where: { id: userId },
+            columns: ['user_id:id', 'username', 'first_name', 'language_code', 'balance', 'ads_watched_today', 'spins_today', 'is_banned', 'ref_by', 'referral_qualified_at', 'start_param', 'daily_bonus_streak', 'bot_blocked_at', 'created_at', 'last_activity']
+        }),
+        storage.select('admin_user_overview', { where: { id: userId }, columns: ['total_earned', 'referrals_count'] })
+    ]);
+    if (!Array.isArray(users) || users.length === 0) return null;
+
+    const user = {
+        ...users[0],
+        total_earned: overview && overview[0] ? Number(overview[0].total_earned) || 0 : 0,
+        referrals_count: overview && overview[0] ? Number(overview[0].referrals_count) || 0 : 0
+    };
+
+    let referrer = null;
+    if (user.ref_by) {
+        const referrers = await storage.select('users', { where: { id: user.ref_by }, columns: ['user_id:id', 'username', 'first_name'] });
+        referrer = Array.isArray(referrers) && referrers.length > 0 ? referrers[0] : { user_id: user.ref_by, username: null, first_name: null };
+    }
+
+    const [tree, withdrawals, spins, commissions, commissionTotals, tasks] = await Promise.all([
+        referralTree(userId, Math.max(settings.referral_commission_tiers.length, 1)),
+        history('withdrawals', { user_id: userId }, ['id', 'amount', 'binance_id', 'status', 'created_at', 'approved_at', 'paid_at', 'payout_reference', 'rejected_at', 'rejection_reason']),
+        history('spin_results', { user_id: userId }, ['id', 'prize', 'prize_index', 'is_jackpot', 'created_at']),
+        history('commission_history', { referrer_id: userId }, ['referee_id', 'amount', 'level', 'source_type', 'created_at']),
+        storage.select('commission_level_totals', { where: { referrer_id: userId }, columns: ['commission'] }),
+        history('task_completions', { user_id: userId }, ['task_id', 'reward', 'created_at'])
+    ]);
+
+    // Task names for the completions shown (deleted tasks take their completions with them)
+    const taskIds = [...new Set(tasks.items.map(completion => completion.task_id))];
+    const taskRows = taskIds.length > 0 ? await storage.select('tasks', { where: { id: taskIds }, columns: ['id', 'name'] }) : [];
+    const taskNames = Object.fromEntries((taskRows || []).map(task => [task.id, task.name]));
+
+    return {
+        user,
+        referrer,
+        referral_tree: tree,
+        withdrawals,
+        spins,
+        commissions: {
+            ...commissions,
+            total_amount: (commissionTotals || []).reduce((sum, row) => sum + (Number(row.commission) || 0), 0)
+        },
+        task_completions: {
+            ...tasks,
+            items: tasks.items.map(completion => ({ ...completion, task_name: taskNames[completion.task_id] || null }))
+        }
+    };
+}
+
+module.exports = { USER_SORTS, USER_SEARCH_FIELDS, listUsers, getUserDetails };
@@ -0,0 +1,91 @@
+// /lib/audit.js
+
+/**
+ * Append-only audit log of admin actions (and user withdrawal requests, the one balance change a
+ * user makes that is not a reward). Rewards and every other balance change are in the ledger.
+ *
+ * Each entry: who (actor_id, actor_role, ip), what (action, target_type, target_id), the values
+ * before and after, the reason given and when. The table rejects updates and deletes.
+ */
+const storage = require('./storage');
+
+const AUDIT_PAGE_SIZE = 50;
+const AUDIT_MAX_PAGE_SIZE = 200;
+const AUDIT_COLUMNS = ['id', 'actor_id', 'actor_role', 'action', 'target_type', 'target_id', 'before', 'after', 'reason', 'ip', 'created_at'];
+
+// action -> target_type
+const AUDIT_ACTIONS = {
+    'withdrawal.requested': 'withdrawal',
+    'withdrawal.approved': 'withdrawal',
+    'withdrawal.paid': 'withdrawal',
+    'withdrawal.rejected': 'withdrawal',
+    'user.banned': 'user',
+    'user.unbanned': 'user',
+    'user.balance_set': 'user',
+    'settings.updated': 'settings',
+    'task.created': 'task',
+    'task.updated': 'task',
+    'task.deleted': 'task',
+    'contest.created': 'contest',
+    'contest.cancelled': 'contest',
+    'contest.disqualified': 'contest',
+    'contest.paid': 'contest',
+};
+
+/**
+ * Appends an entry. Never throws: the action it records has already happened, so a failed
+ * write is logged (with the entry, so it can be recovered from the logs) instead of failing the request.
+ */
+async function recordAudit({ actorId, actorRole = null, action, targetId = null, before = null, after = null, reason = null, ip = null }) {
+    const entry = {
+        actor_id: actorId,
+        actor_role: actorRole,
+        action,
+        target_type: AUDIT_ACTIONS[action] || null,
+        target_id: targetId === null || targetId === undefined ? null : String(targetId),
+        before,
+        after,
+        reason: reason ? String(reason).trim().slice(0, 500) || null : null,
+        ip
+    };
+
+    try {
+        if (!AUDIT_ACTIONS[action]) throw new Error(`Unknown audit action: ${action}`);
+        await storage.insert('audit_log', entry);
+    } catch (error) {
+        console.error('Audit log write failed:', error.message, JSON.stringify(entry));
+    }
+}
+
+/**
+ * Newest entries first. Filters: actor_id, action, target_type, target_id, from / to (ISO dates).
+ * Returns { entries, total, limit, offset }.
+ */
+async function queryAuditLog(filters = {}) {
+    const where = {};
+    if (filters.actor_id) where.actor_id = parseInt(filters.actor_id);
+    if (filters.action) where.action = filters.action;
+    if (filters.target_type) where.target_type = filters.target_type;
+    if (filters.target_id) where.target_id = String(filters.target_id);
+    if (filters.from || filters.to) {
+        where.created_at = {};
+        if (filters.from) where.created_at.gte = new Date(filters.from).toISOString();
+        if (filters.to) where.created_at.lt = new Date(filters.to).toISOString();
+    }
+
+    const limit = Math.min(Math.max(parseInt(filters.limit) || AUDIT_PAGE_SIZE, 1), AUDIT_MAX_PAGE_SIZE);
+    const offset = Math.max(parseInt(filters.offset) || 0, 0);
+
+    const entries = await storage.select('audit_log', {
+        where,
+        columns: AUDIT_COLUMNS,
+        order: { column: 'id', ascending: false },
+        limit,
+        offset
+    });
+    const total = await storage.count('audit_log', { where });
+
+    return { entries: entries || [], total, limit, offset };
+}
+
+module.exports = { AUDIT_ACTIONS, recordAudit, queryAuditLog };
@@ -0,0 +1,157 @@
+// /lib/contests.js
+
+/**
+ * Prize-pool contests on top of the leaderboards.
+ *
+ * Lifecycle (contests.status):
+ *   active    -> the period is running; standings are live
+ *   review    -> the period ended; results (top N + prizes) are frozen and visible to admins,
+ *                who can disqualify entries or cancel until payout_due_at
+ *   paying    -> payout claimed the contest; it can no longer be cancelled or changed
+ *   paid      -> prizes credited (pay_contest_prize, once per contest and user)
+ *   cancelled -> closed without payout
+ *
+ * There is no scheduler: processDueContests() runs lazily from API requests (at most once per
+ * CONTEST_PROCESS_INTERVAL_MS per instance) and moves contests along when their time has come.
+ */
+const storage = require('./storage');
+const { getSettings } = require('./settings');
+const { METRICS, PERIODS, periodRange, computeStandings } = require('./leaderboard');
+
+const CONTEST_PROCESS_INTERVAL_MS = 60 * 1000;
+const MAX_WINNERS = 100;
+const CONTEST_COLUMNS = ['id', 'name', 'metric', 'period', 'starts_at', 'ends_at', 'prize_pool', 'prize_shares', 'status',
+    'results', 'disqualified', 'closed_at', 'payout_due_at', 'paid_at', 'created_by', 'created_at'];
+
+let lastProcessedAt = 0;
+
+/**
+ * Validates an admin's createContest input. Returns { errors, contest }.
+ * prize_shares are fractions of the pool for rank 1, 2, ... (sum at most 1); when only
+ * winners_count is given the pool is split equally.
+ */
+function buildContest(input, now = Date.now()) {
+    const errors = [];
+    const name = typeof input.name === 'string' ? input.name.trim() : '';
+    const prizePool = parseFloat(input.prize_pool);
+    let shares = input.prize_shares;
+
+    if (!name || name.length > 100) errors.push('name is required (max 100 characters).');
+    if (!METRICS[input.metric]) errors.push(`metric must be one of: ${Object.keys(METRICS).join(', ')}.`);
+    if (!PERIODS.includes(input.period)) errors.push(`period must be one of: ${PERIODS.join(', ')}.`);
+    if (isNaN(prizePool) || prizePool <= 0) errors.push('prize_pool must be a positive number.');
+
+    if (shares === undefined || shares === null) {
+        const winners = parseInt(input.winners_count);
+        if (isNaN(winners) || winners < 1 || winners > MAX_WINNERS) {
+            errors.push(`winners_count must be between 1 and ${MAX_WINNERS}.`);
+        } else {
+            shares = Array.from({ length: winners }, () => 1 / winners);
+        }
+    } else if (!Array.isArray(shares) || shares.length < 1 || shares.length > MAX_WINNERS
+        || !shares.every(share => typeof share === 'number' && share > 0)
+        || shares.reduce((sum, share) => sum + share, 0) > 1 + 1e-9) {
+        errors.push('prize_shares must be positive fractions (rank 1 first) that add up to at most 1.');
+    }
+
+    if (errors.length > 0) return { errors, contest: null };
+
+    // 'current' (default) or 'next' period
+    const range = periodRange(input.period, now, input.start === 'next' ? 1 : 0);
+    return {
+        errors,
+        contest: {
+            name,
+            metric: input.metric,
+            period: input.period,
+            starts_at: range.starts_at,
+            ends_at: range.ends_at,
+            prize_pool: prizePool,
+            prize_shares: shares,
+            status: 'active',
+            disqualified: []
+        }
+    };
+}
+
+/**
+ * Top N of the contest's standings with the prize for each rank.
+ */
+async function computeResults(contest) {
+    const { top } = await computeStandings(contest.metric, contest, { limit: contest.prize_shares.length, exclude: contest.disqualified || [] });
+    return top.map((entry, index) => ({
+        ...entry,
+        prize: Math.floor(Number(contest.prize_pool) * contest.prize_shares[index] * 1e6) / 1e6
+    }));
+}
+
+/**
+ * active -> review: freezes the results and schedules the automatic payout.
+ */
+async function closeContest(contest, now = Date.now()) {
+    const { contest_review_hours: reviewHours } = await getSettings();
+    const results = await computeResults(contest);
+    const updated = await storage.update('contests', { id: contest.id, status: 'active' }, {
+        status: 'review',
+        results,
+        closed_at: new Date(now).toISOString(),
+        payout_due_at: new Date(Math.max(now, new Date(contest.ends_at).getTime()) + reviewHours * 60 * 60 * 1000).toISOString()
+    }, { columns: CONTEST_COLUMNS });
+    return Array.isArray(updated) && updated.length > 0 ? updated[0] : null;
+}
+
+/**
+ * review -> paying -> paid. The contest is claimed before the first prize is paid, so a cancel at
+ * the same time either wins (and nothing is paid) or is refused. Returns the prizes paid, or null
+ * when the contest was no longer in review. Each prize is paid at most once (contest_payouts is
+ * unique per contest and user), so a payout interrupted halfway (status 'paying') can simply run again.
+ */
+async function payContest(contest, actorId = null) {
+    if (contest.status !== 'paying') {
+        const claimed = await storage.update('contests', { id: contest.id, status: 'review' }, { status: 'paying' }, { columns: ['id'] });
+        if (!Array.isArray(claimed) || claimed.length === 0) return null;
+    }
+
+    const paid = [];
+    for (const winner of contest.results || []) {
+        if (!(winner.prize > 0)) continue;
+        const payout = await storage.rpc('pay_contest_prize', {
+            p_contest_id: contest.id,
+            p_user_id: winner.user_id,
+            p_amount: winner.prize,
+            p_rank: winner.rank,
+            p_actor_id: actorId
+        });
+        if (payout) paid.push({ user_id: winner.user_id, prize: winner.prize, new_balance: payout.new_balance });
+    }
+
+    await storage.update('contests', { id: contest.id, status: 'paying' }, { status: 'paid', paid_at: new Date().toISOString() });
+    return paid;
+}
+
+/**
+ * Closes ended contests and pays contests whose review window is over.
+ * `force` skips the per-instance throttle (admin views).
+ */
+async function processDueContests({ force = false } = {}) {
+    const now = Date.now();
+    if (!force && now - lastProcessedAt < CONTEST_PROCESS_INTERVAL_MS) return;
+    lastProcessedAt = now;
+
+    try {
+        const open = await storage.select('contests', { where: { status: ['active', 'review', 'paying'] }, columns: CONTEST_COLUMNS });
+        for (const contest of open || []) {
+            if (contest.status === 'active' && new Date(contest.ends_at).getTime() <= now) {
+                const closed = await closeContest(contest, now);
+                if (closed) console.log(`Contest ${contest.id} closed with ${(closed.results || []).length} winners.`);
+            } else if ((contest.status === 'review' && new Date(contest.payout_due_at).getTime() <= now) || contest.status === 'paying') {
+                const paid = await payContest(contest);
+                if (paid) console.log(`Contest ${contest.id} paid automatically to ${paid.length} winners.`);
+            }
+        }
+    } catch (error) {
+        console.error('Processing contests failed:', error.message);
+    }
+}
+
+module.exports = { CONTEST_COLUMNS, buildContest, computeResults, closeContest, payContest, processDueContests };
@@ -0,0 +1,144 @@
+// /lib/dailyLimits.js
+
+/**
+ * Reset policies for the ad and spin counters (users.ads_watched_today / spins_today),
+ * selected with the 'limit_reset_policy' setting:
+ *
+ *   cooldown     - the counter resets reset_interval_hours after the cap was hit
+ *                  (ads_limit_reached_at / spins_limit_reached_at); below the cap it never resets
+ *   calendar_day - the counter holds the actions since local midnight in 'limit_reset_timezone'
+ *   rolling_24h  - the counter holds the actions of the last 24 hours; a slot frees up 24 hours
+ *                  after the action that used it
+ *
+ * For calendar_day and rolling_24h the counters are recomputed from the credited events
+ * (ad_reward ledger entries and spin_results rows), so switching policies needs no migration.
+ * next_reset_at is when the counter will next go down (null when nothing is pending).
+ */
+const storage = require('./storage');
+
+const RESET_POLICIES = ['cooldown', 'calendar_day', 'rolling_24h'];
+const ROLLING_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Where each counter's events are recorded
+const COUNTERS = {
+    ads: {
+        countColumn: 'ads_watched_today',
+        reachedColumn: 'ads_limit_reached_at',
+        maxSetting: 'daily_max_ads',
+        eventTable: 'ledger',
+        eventWhere: userId => ({ user_id: userId, entry_type: 'ad_reward' }),
+    },
+    spins: {
+        countColumn: 'spins_today',
+        reachedColumn: 'spins_limit_reached_at',
+        maxSetting: 'daily_max_spins',
+        eventTable: 'spin_results',
+        eventWhere: userId => ({ user_id: userId }),
+    },
+};
+
+function isValidTimeZone(timeZone) {
+    if (typeof timeZone !== 'string' || !timeZone) return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Offset of the timezone from UTC at `time`, in milliseconds (e.g. +3h for Asia/Riyadh).
+ */
+function timeZoneOffset(time, timeZone) {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric'
+    }).formatToParts(new Date(time)).map(part => [part.type, Number(part.value)]));
+    const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return wallClock - Math.floor(time / 1000) * 1000;
+}
+
+/**
+ * UTC instant of local midnight starting the day that contains `time` (shift = 1: the next day).
+ */
+function zonedDayStart(time, timeZone, shift = 0) {
+    const localNow = new Date(time + timeZoneOffset(time, timeZone));
+    const localMidnight = Date.UTC(localNow.getUTCFullYear(), localNow.getUTCMonth(), localNow.getUTCDate() + shift);
+    // Twice, so a DST change between the guess and midnight is accounted for
+    let instant = localMidnight - timeZoneOffset(localMidnight, timeZone);
+    instant = localMidnight - timeZoneOffset(instant, timeZone);
+    return instant;
+}
+
+/**
+ * Brings one user's counters up to date with the active policy and stores any change.
+ * Returns { policy, ads: { count, next_reset_at }, spins: { count, next_reset_at } },
+ * or null when the user does not exist.
+ */
+async function refreshDailyLimits(userId, settings, now = Date.now()) {
+    const policy = settings.limit_reset_policy;
+    const users = await storage.select('users', {
+        where: { id: userId },
+        columns: Object.values(COUNTERS).flatMap(counter => [counter.countColumn, counter.reachedColumn])
+    });
+    if (!Array.isArray(users) || users.length === 0) return null;
+
+    const user = users[0];
+    const updatePayload = {};
+    const result = { policy };
+
+    for (const [name, counter] of Object.entries(COUNTERS)) {
+        const max = settings[counter.maxSetting];
+        let count = Number(user[counter.countColumn]) || 0;
+        let reachedAt = user[counter.reachedColumn] || null;
+        let nextResetAt = null;
+
+        if (policy === 'cooldown') {
+            if (reachedAt && count >= max) {
+                const resetAt = new Date(reachedAt).getTime() + settings.reset_interval_hours * 60 * 60 * 1000;
+                if (now > resetAt) {
+                    count = 0;
+                    reachedAt = null;
+                    console.log(`${name} limit reset for user ${userId}.`);
+                } else {
+                    nextResetAt = new Date(resetAt).toISOString();
+                }
+            }
+        } else {
+            const windowStart = policy === 'calendar_day' ? zonedDayStart(now, settings.limit_reset_timezone) : now - ROLLING_WINDOW_MS;
+            const where = { ...counter.eventWhere(userId), created_at: { gte: new Date(windowStart).toISOString() } };
+            // The index-th event of the window (0 = oldest), read on its own instead of loading them all
+            const eventTime = async index => {
+                const events = await storage.select(counter.eventTable, {
+                    where, columns: ['created_at'], order: { column: 'created_at', ascending: true }, limit: 1, offset: index
+                });
+                return Array.isArray(events) && events.length > 0 ? events[0].created_at : null;
+            };
+
+            count = await storage.count(counter.eventTable, { where });
+            if (count < max) {
+                reachedAt = null;
+            } else if (!reachedAt) {
+                reachedAt = await eventTime(max - 1);
+            }
+
+            if (policy === 'calendar_day') {
+                nextResetAt = new Date(zonedDayStart(now, settings.limit_reset_timezone, 1)).toISOString();
+            } else if (count > 0) {
+                const oldest = await eventTime(0);
+                nextResetAt = oldest ? new Date(new Date(oldest).getTime() + ROLLING_WINDOW_MS).toISOString() : null;
+            }
+        }
+
+        if (count !== (Number(user[counter.countColumn]) || 0)) updatePayload[counter.countColumn] = count;
+        if (reachedAt !== (user[counter.reachedColumn] || null)) updatePayload[counter.reachedColumn] = reachedAt;
+        result[name] = { count, next_reset_at: nextResetAt };
+    }
+
+    if (Object.keys(updatePayload).length > 0) {
+        await storage.update('users', { id: userId }, updatePayload);
+    }
+    return result;
+}
+
+module.exports = { RESET_POLICIES, isValidTimeZone, zonedDayStart, refreshDailyLimits };
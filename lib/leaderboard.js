@@ -0,0 +1,73 @@
+// /lib/leaderboard.js
+
+/**
+ * Leaderboards over a period (UTC weeks starting Monday, or UTC calendar months).
+ *
+ * Metrics:
+ *   ads       - ads credited (ad_reward ledger entries)
+ *   earned    - SHIB earned from ads, spins, tasks, referral commission, daily bonus and contest prizes
+ *   referrals - referrals that qualified during the period (users.referral_qualified_at)
+ *
+ * Standings are sorted by score (desc), then user id (asc), so every user has a unique rank.
+ * Banned users and users with a zero score are left out. The scores are summed and ranked by the
+ * database (leaderboard_standings), which returns only the top of the list.
+ */
+const storage = require('./storage');
+
+const PERIODS = ['weekly', 'monthly'];
+
+const METRICS = {
+    ads: { description: 'Ads watched' },
+    earned: { description: 'SHIB earned' },
+    referrals: { description: 'Qualified referrals' },
+};
+
+/**
+ * Start (inclusive) and end (exclusive) of the period containing `time`, shifted by `shift` periods.
+ */
+function periodRange(period, time = Date.now(), shift = 0) {
+    const date = new Date(time);
+    let start;
+    let end;
+
+    if (period === 'monthly') {
+        start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + shift, 1));
+        end = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 1));
+    } else if (period === 'weekly') {
+        const daysSinceMonday = (date.getUTCDay() + 6) % 7;
+        start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() - daysSinceMonday + shift * 7));
+        end = new Date(start.getTime() + 7 * 24 * 60 * 60 * 1000);
+    } else {
+        throw new Error(`Unknown period: ${period}`);
+    }
+
+    return { period, starts_at: start.toISOString(), ends_at: end.toISOString() };
+}
+
+/**
+ * Standings for a metric over { starts_at, ends_at }: { top, participants, me }.
+ * top is [{ rank, user_id, score }] for the first `limit` ranks, participants counts every ranked
+ * user and me is { rank, score } for `userId` ({ rank: null, score: 0 } when unranked).
+ * `exclude` lists user ids to leave out (e.g. disqualified contest entries).
+ */
+async function computeStandings(metric, range, { limit, exclude = [], userId = null } = {}) {
+    if (!METRICS[metric]) throw new Error(`Unknown leaderboard metric: ${metric}`);
+
+    const result = await storage.rpc('leaderboard_standings', {
+        p_metric: metric,
+        p_starts_at: range.starts_at,
+        p_ends_at: range.ends_at,
+        p_limit: limit,
+        p_exclude: exclude.map(Number),
+        p_user_id: userId
+    });
+    const row = result || {};
+
+    return {
+        top: (row.top || []).map(entry => ({ rank: entry.rank, user_id: Number(entry.user_id), score: Number(entry.score) })),
+        participants: row.participants || 0,
+        me: row.user_rank ? { rank: row.user_rank, score: Number(row.user_score) } : { rank: null, score: 0 }
+    };
+}
+
+module.exports = { METRICS, PERIODS, periodRange, computeStandings };
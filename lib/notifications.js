@@ -0,0 +1,217 @@
+// /lib/notifications.js
+
+/**
+ * User notifications sent by the bot (Bot API sendMessage with BOT_TOKEN).
+ *
+ * notify() only stores the message in the notifications table; processNotificationQueue() delivers
+ * it after the API request has been answered, so no response waits for Telegram. The queue runs
+ * at most once per QUEUE_PROCESS_INTERVAL_MS per instance, or right away after this instance
+ * queued something. Failed deliveries stay queued and are retried.
+ *
+ * Lifecycle (notifications.status):
+ *   pending -> waiting for delivery at next_attempt_at
+ *   sent    -> delivered
+ *   skipped -> not deliverable: the user blocked the bot or never opened a chat with it
+ *   failed  -> gave up after MAX_ATTEMPTS
+ *
+ * A 403 from Telegram marks the user with users.bot_blocked_at; no further messages are sent to
+ * them until they write to the bot again (see handleBotWebhook).
+ */
+const storage = require('./storage');
+const { sendMessage, escapeHtml } = require('./telegramBot');
+
+const QUEUE_PROCESS_INTERVAL_MS = 30 * 1000;
+const QUEUE_BATCH_SIZE = 20;
+const MAX_ATTEMPTS = 5;
+const RETRY_BASE_DELAY_MS = 30 * 1000; // doubled after every failed attempt
+const RETRY_MAX_DELAY_MS = 60 * 60 * 1000;
+const DELIVERY_LEASE_MS = 2 * 60 * 1000; // a delivery that crashed halfway is retried after this
+const DEFAULT_LANGUAGE = 'en';
+
+const formatAmount = amount => Number(amount).toLocaleString('en-US');
+
+// Template texts are HTML; every parameter is escaped before it is inserted.
+const TEMPLATES = {
+    withdrawal_approved: {
+        en: p => `✅ Your withdrawal of <b>${p.amount} SHIB</b> was approved and will be paid soon.`,
+        ar: p => `✅ تمت الموافقة على طلب سحب <b>${p.amount} SHIB</b> وسيتم الدفع قريباً.`,
+    },
+    withdrawal_paid: {
+        en: p => `💸 Your withdrawal of <b>${p.amount} SHIB</b> was paid.${p.payout_reference ? `\nReference: <code>${p.payout_reference}</code>` : ''}`,
+        ar: p => `💸 تم دفع طلب سحب <b>${p.amount} SHIB</b>.${p.payout_reference ? `\nالمرجع: <code>${p.payout_reference}</code>` : ''}`,
+    },
+    withdrawal_rejected: {
+        en: p => `❌ Your withdrawal of <b>${p.amount} SHIB</b> was rejected and the amount returned to your balance.${p.reason ? `\nReason: ${p.reason}` : ''}`,
+        ar: p => `❌ تم رفض طلب سحب <b>${p.amount} SHIB</b> وأعيد المبلغ إلى رصيدك.${p.reason ? `\nالسبب: ${p.reason}` : ''}`,
+    },
+    account_banned: {
+        en: () => '⛔ Your account has been banned.',
+        ar: () => '⛔ تم حظر حسابك.',
+    },
+    account_unbanned: {
+        en: () => '✅ Your account has been unbanned. Welcome back!',
+        ar: () => '✅ تم رفع الحظر عن حسابك. مرحباً بعودتك!',
+    },
+    task_reward: {
+        en: p => `🎯 Task completed${p.task_name ? `: ${p.task_name}` : ''}. You earned <b>${p.reward} SHIB</b>.`,
+        ar: p => `🎯 تم إكمال المهمة${p.task_name ? `: ${p.task_name}` : ''}. ربحت <b>${p.reward} SHIB</b>.`,
+    },
+    referral_qualified: {
+        en: () => '🤝 One of your referrals is now qualified. You earn commission on their rewards from now on.',
+        ar: () => '🤝 أصبحت إحدى إحالاتك مؤهلة. ستحصل من الآن على عمولة من أرباحها.',
+    },
+};
+
+let lastProcessedAt = 0;
+let queuedSinceLastRun = false;
+
+/**
+ * Renders a template in the user's language (Telegram language_code, e.g. "ar" or "en-US"),
+ * falling back to English.
+ */
+function renderNotification(template, params = {}, languageCode) {
+    const texts = TEMPLATES[template];
+    if (!texts) throw new Error(`Unknown notification template: ${template}`);
+
+    const language = String(languageCode || '').toLowerCase().split('-')[0];
+    const render = texts[language] || texts[DEFAULT_LANGUAGE];
+    const escaped = Object.fromEntries(Object.entries(params || {}).map(([key, value]) => [
+        key,
+        value === null || value === undefined || value === '' ? null
+            : typeof value === 'number' ? formatAmount(value) : escapeHtml(value)
+    ]));
+    return render(escaped);
+}
+
+function retryDelay(attempts) {
+    return Math.min(RETRY_BASE_DELAY_MS * 2 ** Math.max(attempts - 1, 0), RETRY_MAX_DELAY_MS);
+}
+
+/**
+ * Sends one claimed notification and records the outcome. Returns the new status.
+ */
+async function deliver(notification) {
+    const now = Date.now();
+    const users = await storage.select('users', { where: { id: notification.user_id }, columns: ['language_code', 'bot_blocked_at'] });
+    const user = Array.isArray(users) && users.length > 0 ? users[0] : null;
+
+    if (!user || user.bot_blocked_at) {
+        await storage.update('notifications', { id: notification.id }, {
+            status: 'skipped',
+            last_error: user ? 'Bot blocked by the user.' : 'User not found.'
+        });
+        return 'skipped';
+    }
+
+    let result;
+    try {
+        result = await sendMessage(notification.user_id, renderNotification(notification.template, notification.params, user.language_code));
+    } catch (error) {
+        result = { ok: false, description: error.message };
+    }
+
+    if (result.ok) {
+        await storage.update('notifications', { id: notification.id }, { status: 'sent', sent_at: new Date(now).toISOString(), last_error: null });
+        return 'sent';
+    }
+
+    // 403: blocked / deactivated; 400 "chat not found": the user never started the bot
+    const unreachable = result.error_code === 403 || (result.error_code === 400 && /chat not found/i.test(result.description || ''));
+    if (unreachable) {
+        await storage.update('notifications', { id: notification.id }, { status: 'skipped', last_error: result.description || null });
+        if (result.error_code === 403) {
+            await storage.update('users', { id: notification.user_id, bot_blocked_at: null }, { bot_blocked_at: new Date(now).toISOString() });
+        }
+        return 'skipped';
+    }
+
+    if (notification.attempts >= MAX_ATTEMPTS) {
+        await storage.update('notifications', { id: notification.id }, { status: 'failed', last_error: result.description || null });
+        return 'failed';
+    }
+
+    // 429 tells us exactly how long to wait; anything else backs off exponentially
+    const retryAfterMs = result.parameters && result.parameters.retry_after
+        ? result.parameters.retry_after * 1000
+        : retryDelay(notification.attempts);
+    await storage.update('notifications', { id: notification.id }, {
+        status: 'pending',
+        next_attempt_at: new Date(now + retryAfterMs).toISOString(),
+        last_error: result.description || null
+    });
+    return 'pending';
+}
+
+/**
+ * Claims a pending notification for one delivery attempt. The conditional update on attempts
+ * makes sure two instances never send the same message at the same time.
+ */
+async function claim(notification) {
+    const attempts = Number(notification.attempts) || 0;
+    const claimed = await storage.update('notifications', { id: notification.id, status: 'pending', attempts }, {
+        attempts: attempts + 1,
+        next_attempt_at: new Date(Date.now() + DELIVERY_LEASE_MS).toISOString()
+    }, { columns: ['id', 'user_id', 'template', 'params', 'attempts'] });
+    return Array.isArray(claimed) && claimed.length > 0 ? claimed[0] : null;
+}
+
+/**
+ * Queues a notification for a user; it is sent by the next processNotificationQueue() run.
+ * Never throws: a notification must not fail the action that triggered it.
+ */
+async function notify(userId, template, params = {}) {
+    try {
+        if (!TEMPLATES[template]) throw new Error(`Unknown notification template: ${template}`);
+
+        const inserted = await storage.insert('notifications', {
+            user_id: userId,
+            template,
+            params,
+            status: 'pending',
+            attempts: 0,
+            next_attempt_at: new Date().toISOString()
+        }, { columns: ['id'] });
+        if (!Array.isArray(inserted) || inserted.length === 0) return null;
+
+        queuedSinceLastRun = true;
+        return 'pending';
+    } catch (error) {
+        console.error(`Notification ${template} for user ${userId} failed:`, error.message);
+        return null;
+    }
+}
+
+/**
+ * Sends queued notifications whose next_attempt_at has passed.
+ * `force` skips the per-instance throttle; so does a notification queued by this instance.
+ */
+async function processNotificationQueue({ force = false, limit = QUEUE_BATCH_SIZE } = {}) {
+    const now = Date.now();
+    if (!force && !queuedSinceLastRun && now - lastProcessedAt < QUEUE_PROCESS_INTERVAL_MS) return;
+    lastProcessedAt = now;
+    queuedSinceLastRun = false;
+
+    try {
+        const due = await storage.select('notifications', {
+            where: { status: 'pending', next_attempt_at: { lte: new Date(now).toISOString() } },
+            columns: ['id', 'user_id', 'template', 'params', 'attempts'],
+            order: { column: 'next_attempt_at', ascending: true },
+            limit
+        });
+
+        const outcomes = {};
+        for (const notification of due || []) {
+            const claimed = await claim(notification);
+            if (!claimed) continue;
+            const status = await deliver(claimed);
+            outcomes[status] = (outcomes[status] || 0) + 1;
+        }
+        if (Object.keys(outcomes).length > 0) {
+            console.log('Notification queue processed:', JSON.stringify(outcomes));
+        }
+    } catch (error) {
+        console.error('Processing notifications failed:', error.message);
+    }
+}
+
+module.exports = { TEMPLATES, renderNotification, notify, processNotificationQueue };
@@ -0,0 +1,48 @@
+// /lib/provablyFair.js
+
+/**
+ * Provably fair spins (commit / reveal).
+ *
+ * 1. preSpin: the server picks a random server seed and returns only sha256(server_seed)
+ *    and the spin nonce.
+ * 2. spinResult: the user sends their client seed; the outcome is derived from all three values
+ *    and the server seed is revealed. Because the server seed was committed before the client
+ *    seed existed, the server cannot pick a seed that favours it.
+ * 3. Anyone can recompute it:
+ *      hmac   = HMAC-SHA256(key = server_seed, message = `${client_seed}:${nonce}`)  (hex)
+ *      random = parseInt(hmac.slice(0, 13), 16) / 2^52                              (0 <= random < 1)
+ *      sector = first sector where the running total of weights exceeds random * total_weight
+ *    and check that sha256(server_seed) equals the hash shown before the spin.
+ */
+const crypto = require('crypto');
+
+const MAX_CLIENT_SEED_LENGTH = 64;
+const RANDOM_HEX_CHARS = 13; // 52 bits, exactly representable as a double
+
+function generateServerSeed() {
+    return crypto.randomBytes(32).toString('hex');
+}
+
+function hashServerSeed(serverSeed) {
+    return crypto.createHash('sha256').update(serverSeed).digest('hex');
+}
+
+/**
+ * Returns the trimmed client seed, or null when it is missing or invalid.
+ */
+function normalizeClientSeed(clientSeed) {
+    if (typeof clientSeed !== 'string') return null;
+
+    const trimmed = clientSeed.trim();
+    return trimmed.length > 0 && trimmed.length <= MAX_CLIENT_SEED_LENGTH ? trimmed : null;
+}
+
+/**
+ * Deterministic number in [0, 1) for the given seeds and nonce.
+ */
+function deriveRandom(serverSeed, clientSeed, nonce) {
+    const hmac = crypto.createHmac('sha256', serverSeed).update(`${clientSeed}:${nonce}`).digest('hex');
+    return parseInt(hmac.slice(0, RANDOM_HEX_CHARS), 16) / Math.pow(2, RANDOM_HEX_CHARS * 4);
+}
+
+module.exports = { generateServerSeed, hashServerSeed, normalizeClientSeed, deriveRandom };
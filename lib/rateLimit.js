@@ -0,0 +1,112 @@
+// /lib/rateLimit.js
+
+/**
+ * Token-bucket rate limiting per action, with separate buckets per user and per client IP.
+ *
+ * Each bucket holds up to `capacity` tokens and regains one token every `refill_seconds`;
+ * a request takes one token and is refused (429) when the bucket is empty. So `capacity` is the
+ * allowed burst and `refill_seconds` the sustained interval between requests.
+ *
+ * Limits come from the 'rate_limits' setting:
+ *   { watchAd: { user: { capacity: 1, refill_seconds: 3 }, ip: { capacity: 30, refill_seconds: 1 } }, ... }
+ * An action (or scope) without an entry is not limited. All admin routes share the 'admin' action.
+ *
+ * Buckets live in the rate_limit_buckets table and are updated by the consume_rate_limits
+ * DB function, so every instance sees the same buckets. A request takes a token only when all of
+ * its buckets have one; a refused request leaves every bucket as it was.
+ *
+ * Per-IP buckets need TRUSTED_PROXY_HOPS: the number of proxies in front of the app (1 on Vercel,
+ * 0 when clients connect directly). The IP is then read from X-Forwarded-For at that many entries
+ * from the end, which the client cannot forge. Without it the socket address may be the proxy's,
+ * shared by every user, so per-IP buckets are skipped (with a warning at startup).
+ */
+const storage = require('./storage');
+
+const RATE_LIMIT_ACTIONS = ['watchAd', 'startAdView', 'spinResult', 'claimDailyBonus', 'withdraw', 'completeTask', 'generateActionId', 'admin'];
+const RATE_LIMIT_SCOPES = ['user', 'ip'];
+const MAX_CAPACITY = 1000;
+const MAX_REFILL_SECONDS = 24 * 60 * 60;
+const TRUSTED_PROXY_HOPS = parseProxyHops(process.env.TRUSTED_PROXY_HOPS);
+
+if (TRUSTED_PROXY_HOPS === null) {
+    console.warn('TRUSTED_PROXY_HOPS is not set: per-IP rate limits are off. Set it to the number of proxies in front of the app (1 on Vercel, 0 without a proxy).');
+}
+
+const DEFAULT_RATE_LIMITS = {
+    watchAd: { user: { capacity: 1, refill_seconds: 3 }, ip: { capacity: 30, refill_seconds: 1 } },
+    startAdView: { user: { capacity: 2, refill_seconds: 3 }, ip: { capacity: 30, refill_seconds: 1 } },
+    spinResult: { user: { capacity: 1, refill_seconds: 3 }, ip: { capacity: 30, refill_seconds: 1 } },
+    claimDailyBonus: { user: { capacity: 2, refill_seconds: 10 } },
+    withdraw: { user: { capacity: 3, refill_seconds: 60 }, ip: { capacity: 10, refill_seconds: 30 } },
+    completeTask: { user: { capacity: 3, refill_seconds: 5 }, ip: { capacity: 30, refill_seconds: 1 } },
+    generateActionId: { user: { capacity: 10, refill_seconds: 1 }, ip: { capacity: 100, refill_seconds: 0.2 } },
+    admin: { user: { capacity: 30, refill_seconds: 1 } },
+};
+
+/**
+ * A non-negative integer, or null when unset or invalid.
+ */
+function parseProxyHops(value) {
+    if (value === undefined || value === null || String(value).trim() === '') return null;
+    const hops = Number(value);
+    return Number.isInteger(hops) && hops >= 0 ? hops : null;
+}
+
+function isValidBucket(bucket) {
+    return !!bucket && typeof bucket === 'object' && !Array.isArray(bucket)
+        && Number.isInteger(bucket.capacity) && bucket.capacity >= 1 && bucket.capacity <= MAX_CAPACITY
+        && typeof bucket.refill_seconds === 'number' && bucket.refill_seconds > 0 && bucket.refill_seconds <= MAX_REFILL_SECONDS;
+}
+
+function isValidRateLimits(limits) {
+    if (!limits || typeof limits !== 'object' || Array.isArray(limits)) return false;
+    return Object.entries(limits).every(([action, scopes]) =>
+        RATE_LIMIT_ACTIONS.includes(action) && !!scopes && typeof scopes === 'object' && !Array.isArray(scopes)
+        && Object.entries(scopes).every(([scope, bucket]) => RATE_LIMIT_SCOPES.includes(scope) && isValidBucket(bucket)));
+}
+
+/**
+ * Client IP: the X-Forwarded-For entry added by the outermost trusted proxy when
+ * TRUSTED_PROXY_HOPS is set, otherwise the socket address. Entries further left are client-supplied.
+ */
+function getClientIp(req) {
+    const forwarded = req.headers && req.headers['x-forwarded-for'];
+    if (TRUSTED_PROXY_HOPS && forwarded) {
+        const hops = String(forwarded).split(',').map(entry => entry.trim()).filter(Boolean);
+        if (hops.length > 0) return hops[Math.max(hops.length - TRUSTED_PROXY_HOPS, 0)];
+    }
+    return (req.socket && req.socket.remoteAddress) || null;
+}
+
+/**
+ * Takes one token from each configured bucket of the action ({ userId, ip }), or from none when
+ * any of them is empty. Returns { ok: true } or { ok: false, scope, retry_after_ms }. Fails open
+ * when the buckets cannot be read: a storage problem should not lock every user out.
+ */
+async function consumeRateLimit(limits, action, { userId, ip }) {
+    const scopes = (limits && limits[action]) || {};
+    const subjects = { user: userId, ip };
+
+    const checks = RATE_LIMIT_SCOPES
+        .filter(scope => scope !== 'ip' || TRUSTED_PROXY_HOPS !== null)
+        .filter(scope => scopes[scope] && subjects[scope] !== null && subjects[scope] !== undefined && subjects[scope] !== '')
+        .map(scope => ({ scope, key: `${action}:${scope}:${subjects[scope]}`, bucket: scopes[scope] }));
+    if (checks.length === 0) return { ok: true };
+
+    try {
+        const result = await storage.rpc('consume_rate_limits', {
+            p_keys: checks.map(check => check.key),
+            p_capacities: checks.map(check => check.bucket.capacity),
+            p_refill_seconds: checks.map(check => check.bucket.refill_seconds)
+        });
+        if (result && !result.allowed) {
+            const refused = checks.find(check => check.key === result.refused_key);
+            return { ok: false, scope: refused ? refused.scope : null, retry_after_ms: Number(result.retry_after_ms) };
+        }
+    } catch (error) {
+        console.error(`Rate limit check failed for ${checks.map(check => check.key).join(', ')}:`, error.message);
+    }
+    return { ok: true };
+}
+
+module.exports = { RATE_LIMIT_ACTIONS, DEFAULT_RATE_LIMITS, isValidRateLimits, getClientIp, consumeRateLimit };
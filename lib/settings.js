@@ -0,0 +1,175 @@
+// /lib/settings.js
+
+/**
+ * Admin-editable economy settings.
+ * Values live in the 'settings' table (one row per key, JSON value) and fall back to the
+ * defaults below. Reads are cached for SETTINGS_CACHE_TTL_MS so handlers do not hit storage
+ * on every request; an update on this instance clears the cache immediately.
+ */
+const storage = require('./storage');
+const { DEFAULT_WHEEL, isValidWheel } = require('./spinWheel');
+const { DEFAULT_RATE_LIMITS, isValidRateLimits } = require('./rateLimit');
+const { RESET_POLICIES, isValidTimeZone } = require('./dailyLimits');
+
+const SETTINGS_CACHE_TTL_MS = 30 * 1000; // Other instances pick up changes within 30 seconds
+
+function isNonNegativeNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+function isPositiveInteger(value) {
+    return Number.isInteger(value) && value > 0;
+}
+
+function isNonNegativeInteger(value) {
+    return Number.isInteger(value) && value >= 0;
+}
+
+const SETTINGS_SCHEMA = {
+    reward_per_ad: {
+        default: 3,
+        validate: isNonNegativeNumber,
+        description: 'SHIB credited per watched ad.'
+    },
+    referral_commission_tiers: {
+        default: [0.05, 0.02, 0.01],
+        validate: value => Array.isArray(value) && value.length >= 1 && value.length <= 5
+            && value.every(rate => isNonNegativeNumber(rate) && rate <= 1)
+            && value.reduce((sum, rate) => sum + rate, 0) <= 1,
+        description: 'Share of the referee reward paid per referral level (level 1 = direct referrer), each 0 - 1.'
+    },
+    referral_min_ads: {
+        default: 20,
+        validate: isNonNegativeInteger,
+        description: 'Ads a referee must watch before their referral starts paying commission (0 = no minimum).'
+    },
+    referral_min_active_days: {
+        default: 2,
+        validate: isNonNegativeInteger,
+        description: 'Distinct days (UTC) the referee must have watched ads on before their referral qualifies.'
+    },
+    daily_max_ads: {
+        default: 100,
+        validate: isPositiveInteger,
+        description: 'Ads a user can watch before the limit resets.'
+    },
+    daily_max_spins: {
+        default: 15,
+        validate: isPositiveInteger,
+        description: 'Spins a user can make before the limit resets.'
+    },
+    reset_interval_hours: {
+        default: 6,
+        validate: value => isNonNegativeNumber(value) && value > 0 && value <= 24 * 7,
+        description: 'cooldown policy: hours after hitting a limit before the counter resets.'
+    },
+    limit_reset_policy: {
+        default: 'cooldown',
+        validate: value => RESET_POLICIES.includes(value),
+        description: `How the ad and spin counters reset: ${RESET_POLICIES.join(' | ')}.`
+    },
+    limit_reset_timezone: {
+        default: 'UTC',
+        validate: isValidTimeZone,
+        description: 'calendar_day policy: IANA timezone whose midnight resets the counters (e.g. Asia/Riyadh).'
+    },
+    spin_wheel: {
+        default: DEFAULT_WHEEL,
+        validate: isValidWheel,
+        description: 'Wheel sectors in wheel order: label, prize, weight (relative chance) and jackpot flag.'
+    },
+    daily_bonus_rewards: {
+        default: [10, 15, 20, 25, 30, 40, 60],
+        validate: value => Array.isArray(value) && value.length >= 1 && value.length <= 31 && value.every(isNonNegativeNumber),
+        description: 'Daily check-in reward by streak day (day 1 first); after the last day the streak keeps the last reward.'
+    },
+    contest_review_hours: {
+        default: 24,
+        validate: value => isNonNegativeNumber(value) && value <= 24 * 14,
+        description: 'Hours after a contest ends during which admins can review results before prizes are paid automatically.'
+    },
+    task_reward: {
+        default: 50,
+        validate: isNonNegativeNumber,
+        description: 'Default reward for tasks created without one.'
+    },
+    min_withdraw: {
+        default: 400,
+        validate: isNonNegativeNumber,
+        description: 'Minimum SHIB per withdrawal request.'
+    },
+    rate_limits: {
+        default: DEFAULT_RATE_LIMITS,
+        validate: isValidRateLimits,
+        description: 'Token buckets per action and scope (user / ip): capacity = burst, refill_seconds = seconds per regained request.'
+    },
+};
+
+let cache = null;
+
+function defaultSettings() {
+    return Object.fromEntries(Object.entries(SETTINGS_SCHEMA).map(([key, definition]) => [key, definition.default]));
+}
+
+/**
+ * Returns the current settings (defaults merged with stored values), cached for a short TTL.
+ * If storage is unavailable the last known (or default) values are used.
+ */
+async function getSettings() {
+    if (cache && Date.now() - cache.loadedAt < SETTINGS_CACHE_TTL_MS) {
+        return cache.values;
+    }
+
+    const values = defaultSettings();
+    try {
+        const rows = await storage.select('settings', { columns: ['key', 'value'] });
+        rows.forEach(row => {
+            const definition = SETTINGS_SCHEMA[row.key];
+            if (definition && definition.validate(row.value)) {
+                values[row.key] = row.value;
+            } else if (definition) {
+                console.warn(`Ignoring invalid stored setting ${row.key}.`);
+            }
+        });
+    } catch (error) {
+        console.error('Failed to load settings, using last known values:', error.message);
+        return cache ? cache.values : values;
+    }
+
+    cache = { values, loadedAt: Date.now() };
+    return values;
+}
+
+/**
+ * Validates a partial settings object. Returns a list of error messages (empty when valid).
+ */
+function validateSettings(changes) {
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+        return ['settings must be an object.'];
+    }
+
+    const errors = [];
+    Object.entries(changes).forEach(([key, value]) => {
+        const definition = SETTINGS_SCHEMA[key];
+        if (!definition) {
+            errors.push(`Unknown setting: ${key}.`);
+        } else if (!definition.validate(value)) {
+            errors.push(`Invalid value for ${key}.`);
+        }
+    });
+    return errors;
+}
+
+/**
+ * Stores already validated changes and clears the cache.
+ */
+async function updateSettings(changes, actorId) {
+    const now = new Date().toISOString();
+    const rows = Object.entries(changes).map(([key, value]) => ({ key, value, updated_by: actorId, updated_at: now }));
+
+    await storage.upsert('settings', rows, { onConflict: 'key', columns: ['key'] });
+    cache = null;
+    return getSettings();
+}
+
+module.exports = { SETTINGS_SCHEMA, getSettings, validateSettings, updateSettings, defaultSettings };
@@ -0,0 +1,81 @@
+// /lib/spinWheel.js
+
+/**
+ * Spin wheel definitions.
+ * A wheel is an ordered list of sectors (wheel order = prize_index used by the client animation):
+ *   { label: '10', prize: 10, weight: 5, jackpot: false }
+ * The chance of a sector is its weight divided by the total weight, so big prizes and jackpots
+ * can be made rare without adding extra sectors to the wheel.
+ */
+
+const MIN_SECTORS = 2;
+const MAX_SECTORS = 20;
+const MAX_LABEL_LENGTH = 24;
+
+const DEFAULT_WHEEL = [
+    { label: '5', prize: 5, weight: 1, jackpot: false },
+    { label: '10', prize: 10, weight: 1, jackpot: false },
+    { label: '15', prize: 15, weight: 1, jackpot: false },
+    { label: '20', prize: 20, weight: 1, jackpot: false },
+    { label: '5', prize: 5, weight: 1, jackpot: false },
+];
+
+function isValidSector(sector) {
+    return !!sector && typeof sector === 'object' && !Array.isArray(sector)
+        && typeof sector.prize === 'number' && Number.isFinite(sector.prize) && sector.prize >= 0
+        && typeof sector.weight === 'number' && Number.isFinite(sector.weight) && sector.weight > 0
+        && typeof sector.label === 'string' && sector.label.trim().length > 0 && sector.label.length <= MAX_LABEL_LENGTH
+        && (sector.jackpot === undefined || typeof sector.jackpot === 'boolean');
+}
+
+function isValidWheel(wheel) {
+    return Array.isArray(wheel) && wheel.length >= MIN_SECTORS && wheel.length <= MAX_SECTORS && wheel.every(isValidSector);
+}
+
+function totalWeight(wheel) {
+    return wheel.reduce((sum, sector) => sum + sector.weight, 0);
+}
+
+/**
+ * Picks a sector with probability proportional to its weight.
+ * `random` is a number in [0, 1) (Math.random by default).
+ */
+function pickSector(wheel, random = Math.random()) {
+    let target = random * totalWeight(wheel);
+    for (let index = 0; index < wheel.length; index++) {
+        target -= wheel[index].weight;
+        if (target < 0) {
+            return { sector: wheel[index], prizeIndex: index };
+        }
+    }
+    // Floating point leftovers land on the last sector
+    return { sector: wheel[wheel.length - 1], prizeIndex: wheel.length - 1 };
+}
+
+/**
+ * Per-sector probabilities and the expected payout per spin, for the admin panel.
+ */
+function describeWheel(wheel) {
+    const total = totalWeight(wheel);
+    const sectors = wheel.map((sector, index) => ({
+        index,
+        label: sector.label,
+        prize: sector.prize,
+        weight: sector.weight,
+        jackpot: !!sector.jackpot,
+        probability: sector.weight / total
+    }));
+    const expectedValue = sectors.reduce((sum, sector) => sum + sector.prize * sector.probability, 0);
+    const jackpotProbability = sectors.filter(s => s.jackpot).reduce((sum, s) => sum + s.probability, 0);
+
+    return { sectors, total_weight: total, expected_value: expectedValue, jackpot_probability: jackpotProbability };
+}
+
+/**
+ * What the client needs to draw the wheel (weights stay server-side).
+ */
+function publicWheel(wheel) {
+    return wheel.map(sector => ({ label: sector.label, prize: sector.prize, jackpot: !!sector.jackpot }));
+}
+
+module.exports = { DEFAULT_WHEEL, isValidWheel, pickSector, describeWheel, publicWheel };
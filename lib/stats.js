@@ -0,0 +1,147 @@
+// /lib/stats.js
+
+/**
+ * Admin dashboard statistics over a range of whole UTC days (starts_at inclusive, ends_at exclusive):
+ *
+ *   active_users - users with an activity ledger entry (ad, spin or task reward, daily bonus):
+ *                  per day (dau), over the 7 days ending that day (wau) and over the whole range
+ *   hourly       - ads credited (ad_reward entries) and spins (spin_results) per UTC hour
+ *   credited     - SHIB credited per source, per day and in total
+ *   liability    - what the app owes right now, whatever the range: user balances plus
+ *                  withdrawals not paid yet (their amount has already left the balances)
+ *
+ * The database aggregates the ledger and spin rows into day and hour buckets (admin_stats); the
+ * API fills in the empty buckets and totals them. Results are cached briefly.
+ */
+const storage = require('./storage');
+
+const STATS_CACHE_TTL_MS = 60 * 1000;
+const STATS_DEFAULT_RANGE_DAYS = 7;
+const STATS_MAX_RANGE_DAYS = 31;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Ledger entry types (see LEDGER_ENTRY in api/index.js)
+const CREDIT_SOURCES = {
+    ads: 'ad_reward',
+    spins: 'spin_reward',
+    tasks: 'task_reward',
+    commissions: 'referral_commission',
+    daily_bonus: 'daily_bonus',
+    contests: 'contest_prize',
+};
+const ACTIVITY_ENTRY_TYPES = ['ad_reward', 'spin_reward', 'task_reward', 'daily_bonus'];
+
+const cache = new Map();
+
+const dayKey = time => new Date(time).toISOString().slice(0, 10);
+const hourKey = time => `${new Date(time).toISOString().slice(0, 13)}:00:00.000Z`;
+
+function utcDayStart(time) {
+    const date = new Date(time);
+    return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+}
+
+/**
+ * The range for `from` / `to` (dates; `to` exclusive), widened to whole UTC days.
+ * Defaults to the last STATS_DEFAULT_RANGE_DAYS days, today included. Invalid dates give NaN times,
+ * so callers validate first.
+ */
+function statsRange(from, to, now = Date.now()) {
+    const end = to ? utcDayStart(new Date(to).getTime() + DAY_MS - 1) : utcDayStart(now) + DAY_MS;
+    const start = from ? utcDayStart(new Date(from).getTime()) : end - STATS_DEFAULT_RANGE_DAYS * DAY_MS;
+    return { starts_at: new Date(start).toISOString(), ends_at: new Date(end).toISOString(), days: Math.round((end - start) / DAY_MS) };
+}
+
+async function loadLiability() {
+    const rows = await storage.select('admin_liability', {
+        columns: ['total_balance', 'users_with_balance', 'pending_count', 'pending_amount', 'approved_count', 'approved_amount']
+    });
+    const row = (rows && rows[0]) || {};
+    const value = column => Number(row[column]) || 0;
+
+    return {
+        total_balance: value('total_balance'),
+        users_with_balance: value('users_with_balance'),
+        pending_withdrawals: { count: value('pending_count'), amount: value('pending_amount') },
+        approved_withdrawals: { count: value('approved_count'), amount: value('approved_amount') },
+        total: value('total_balance') + value('pending_amount') + value('approved_amount')
+    };
+}
+
+/**
+ * Dashboard numbers for a range from statsRange().
+ */
+async function computeStats(range, { useCache = true } = {}) {
+    const cacheKey = `${range.starts_at}:${range.ends_at}`;
+    const cached = cache.get(cacheKey);
+    if (useCache && cached && Date.now() - cached.loadedAt < STATS_CACHE_TTL_MS) {
+        return cached.stats;
+    }
+
+    const start = new Date(range.starts_at).getTime();
+    const end = new Date(range.ends_at).getTime();
+
+    const [buckets, liability] = await Promise.all([
+        storage.rpc('admin_stats', {
+            p_starts_at: range.starts_at,
+            p_ends_at: range.ends_at,
+            p_activity_types: ACTIVITY_ENTRY_TYPES,
+            p_credit_types: Object.values(CREDIT_SOURCES)
+        }),
+        loadLiability()
+    ]);
+    const row = buckets || {};
+
+    const creditedByDay = new Map();
+    const hourly = new Map();
+    for (let time = start; time < end; time += DAY_MS) {
+        creditedByDay.set(dayKey(time), Object.fromEntries(Object.keys(CREDIT_SOURCES).map(source => [source, 0])));
+    }
+    for (let time = start; time < end; time += HOUR_MS) hourly.set(hourKey(time), { ads: 0, spins: 0 });
+
+    const sourceOf = Object.fromEntries(Object.entries(CREDIT_SOURCES).map(([source, entryType]) => [entryType, source]));
+
+    (row.credited || []).forEach(bucket => {
+        const day = creditedByDay.get(bucket.date);
+        const source = sourceOf[bucket.entry_type];
+        if (day && source) day[source] += Number(bucket.amount) || 0;
+    });
+    (row.hourly || []).forEach(bucket => {
+        const hour = hourly.get(bucket.hour);
+        if (!hour) return;
+        hour.ads += Number(bucket.ads) || 0;
+        hour.spins += Number(bucket.spins) || 0;
+    });
+
+    const daily = (row.active_daily || []).map(day => ({ date: day.date, dau: Number(day.dau) || 0, wau: Number(day.wau) || 0 }));
+
+    const creditedTotals = Object.fromEntries(Object.keys(CREDIT_SOURCES).map(source => [source, 0]));
+    const creditedDaily = Array.from(creditedByDay.entries()).map(([date, sources]) => {
+        Object.entries(sources).forEach(([source, amount]) => { creditedTotals[source] += amount; });
+        return { date, ...sources };
+    });
+    const hourlyPoints = Array.from(hourly.entries()).map(([hour, counts]) => ({ hour, ...counts }));
+
+    const stats = {
+        range: { starts_at: range.starts_at, ends_at: range.ends_at },
+        active_users: { total: row.active_total || 0, daily },
+        hourly: {
+            ads_total: hourlyPoints.reduce((sum, point) => sum + point.ads, 0),
+            spins_total: hourlyPoints.reduce((sum, point) => sum + point.spins, 0),
+            points: hourlyPoints
+        },
+        credited: {
+            sources: Object.keys(CREDIT_SOURCES),
+            totals: creditedTotals,
+            total: Object.values(creditedTotals).reduce((sum, amount) => sum + amount, 0),
+            daily: creditedDaily
+        },
+        liability,
+        generated_at: new Date().toISOString()
+    };
+    cache.set(cacheKey, { stats, loadedAt: Date.now() });
+    return stats;
+}
+
+module.exports = { STATS_MAX_RANGE_DAYS, CREDIT_SOURCES, statsRange, computeStats };
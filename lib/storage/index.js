@@ -0,0 +1,68 @@
+// /lib/storage/index.js
+
+/**
+ * Storage entry point used by the API handlers.
+ *
+ * Every adapter implements:
+ *   select(table, { where, or, columns, order, limit, offset }) -> rows
+ *   count(table, { where, or })                                 -> number
+ *   insert(table, rowOrRows, { columns })                       -> inserted rows
+ *   upsert(table, rowOrRows, { columns, onConflict })           -> inserted or updated rows
+ *   update(table, where, patch, { columns })                    -> updated rows
+ *   remove(table, where)                                        -> deleted rows
+ *   rpc(functionName, params)                                   -> first row or null
+ *
+ * `where` maps a column to a value (equality), null (IS NULL), an array (IN) or an
+ * operator object such as { gte: 5 }, { in: [...] }, { ilike: '%name%' }.
+ * `order` is { column, ascending, nullsLast } or an array of them; NULLs sort like in Postgres
+ * (last ascending, first descending) unless nullsLast is given.
+ *
+ * The adapter is picked from STORAGE_BACKEND ('supabase' by default, or 'memory';
+ * STORAGE_FILE persists the memory adapter to a local JSON file and its change log). The Supabase adapter needs the
+ * service role key (SUPABASE_SERVICE_ROLE_KEY): the database grants nothing to the public anon key.
+ */
+const { createSupabaseStorage } = require('./supabase');
+const { createMemoryStorage } = require('./memory');
+
+let adapter = null;
+
+function createStorage(options = {}) {
+    const backend = options.backend || process.env.STORAGE_BACKEND || 'supabase';
+
+    if (backend === 'memory') {
+        return createMemoryStorage({ file: options.file || process.env.STORAGE_FILE || null, seed: options.seed });
+    }
+    if (backend === 'supabase') {
+        return createSupabaseStorage({
+            url: options.url || process.env.NEXT_PUBLIC_SUPABASE_URL,
+            key: options.key || process.env.SUPABASE_SERVICE_ROLE_KEY
+        });
+    }
+    throw new Error(`Unknown storage backend: ${backend}`);
+}
+
+function getAdapter() {
+    if (!adapter) adapter = createStorage();
+    return adapter;
+}
+
+/**
+ * Replaces the active adapter (the handler tests in test/ swap in a seeded memory adapter).
+ */
+function useStorage(nextAdapter) {
+    adapter = nextAdapter;
+    return adapter;
+}
+
+module.exports = {
+    createStorage,
+    useStorage,
+    getAdapter,
+    select: (...args) => getAdapter().select(...args),
+    count: (...args) => getAdapter().count(...args),
+    insert: (...args) => getAdapter().insert(...args),
+    upsert: (...args) => getAdapter().upsert(...args),
+    update: (...args) => getAdapter().update(...args),
+    remove: (...args) => getAdapter().remove(...args),
+    rpc: (...args) => getAdapter().rpc(...args),
+};
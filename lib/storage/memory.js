@@ -0,0 +1,807 @@
+// /lib/storage/memory.js
+
+/**
+ * In-memory storage adapter (optionally persisted to a local JSON file).
+ * Supports the same where/columns/order/limit options as the Supabase adapter, and
+ * re-implements the Postgres functions, views and constraints from supabase/migrations in JS,
+ * so the whole API can run offline.
+ *
+ * Persistence: the file holds a snapshot of all tables; every write appends only the rows it
+ * changed to `<file>.log`, which is folded into a new snapshot every JOURNAL_COMPACT_ENTRIES writes.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const JOURNAL_COMPACT_ENTRIES = 500;
+
+// ------------------------------------------------------------------
+// Table definitions: keys, defaults, unique constraints, cascades, restricts and triggers
+// ------------------------------------------------------------------
+const TABLES = {
+    users: {
+        primaryKey: 'id',
+        defaults: () => ({ balance: 0, ads_watched_today: 0, spins_today: 0, is_banned: false, referral_qualified_at: null, daily_bonus_streak: 0, daily_bonus_last_claim_date: null, username: null, first_name: null, language_code: null, start_param: null, bot_blocked_at: null }),
+    },
+    admins: { primaryKey: 'user_id' },
+    temp_actions: {},
+    withdrawals: { defaults: () => ({ status: 'pending' }) },
+    spin_results: { defaults: () => ({ is_jackpot: false }) },
+    spin_commitments: {},
+    contests: {
+        defaults: () => ({ status: 'active', results: null, disqualified: [], closed_at: null, payout_due_at: null, paid_at: null }),
+        cascade: { contest_payouts: 'contest_id' },
+    },
+    contest_payouts: { unique: [['contest_id', 'user_id']] },
+    ad_views: { unique: [['view_id']], defaults: () => ({ status: 'pending', reward: null, completed_at: null, rejection_reason: null }) },
+    commission_history: { unique: [['referrer_id', 'source_type', 'source_id']] },
+    tasks: {
+        defaults: () => ({ is_active: true, max_participants: null, note: null }),
+        restrict: { task_completions: 'task_id' },
+    },
+    task_completions: {
+        unique: [['task_id', 'user_id']],
+        beforeInsert: (row, db) => {
+            const task = db.rows('tasks').find(t => looseEquals(t.id, row.task_id));
+            if (task && task.max_participants) {
+                const taken = db.rows('task_completions').filter(c => looseEquals(c.task_id, row.task_id)).length;
+                if (taken >= task.max_participants) {
+                    throw new Error('Task participant limit reached.');
+                }
+            }
+        },
+    },
+    notifications: { defaults: () => ({ params: {}, status: 'pending', attempts: 0, last_error: null, sent_at: null }) },
+    rate_limit_buckets: { primaryKey: 'key' },
+    ledger: { appendOnly: true },
+    audit_log: { appendOnly: true },
+    settings: { primaryKey: 'key' },
+};
+
+// ------------------------------------------------------------------
+// Views: read-only, recomputed on every read (mirrors the SQL views)
+// ------------------------------------------------------------------
+
+// Ledger entry types that count as earnings (same list as leaderboard_standings in the migrations)
+const EARNING_ENTRY_TYPES = ['ad_reward', 'spin_reward', 'task_reward', 'referral_commission', 'daily_bonus', 'contest_prize'];
+
+function groupCommissions(db, keys) {
+    const groups = new Map();
+    db.rows('commission_history').forEach(row => {
+        const key = keys.map(column => String(row[column])).join(':');
+        if (!groups.has(key)) groups.set(key, { ...Object.fromEntries(keys.map(column => [column, row[column]])), commission: 0, payouts: 0 });
+        const group = groups.get(key);
+        group.commission += Number(row.amount) || 0;
+        group.payouts += 1;
+    });
+    return Array.from(groups.values());
+}
+
+const VIEWS = {
+    admin_user_overview: db => {
+        const earned = {};
+        db.rows('ledger').filter(entry => EARNING_ENTRY_TYPES.includes(entry.entry_type)).forEach(entry => {
+            earned[entry.user_id] = (earned[entry.user_id] || 0) + Number(entry.amount);
+        });
+        const referrals = {};
+        db.rows('users').filter(user => user.ref_by !== null && user.ref_by !== undefined).forEach(user => {
+            referrals[user.ref_by] = (referrals[user.ref_by] || 0) + 1;
+        });
+        return db.rows('users').map(user => ({
+            id: user.id,
+            username: user.username,
+            first_name: user.first_name,
+            balance: user.balance,
+            is_banned: user.is_banned,
+            ref_by: user.ref_by === undefined ? null : user.ref_by,
+            created_at: user.created_at,
+            last_activity: user.last_activity === undefined ? null : user.last_activity,
+            total_earned: earned[user.id] || 0,
+            referrals_count: referrals[user.id] || 0,
+        }));
+    },
+    commission_level_totals: db => groupCommissions(db, ['referrer_id', 'level']),
+    commission_referee_totals: db => groupCommissions(db, ['referrer_id', 'referee_id', 'level']),
+    admin_liability: db => {
+        const withdrawals = status => db.rows('withdrawals').filter(w => w.status === status);
+        const sum = (rows, column) => rows.reduce((total, row) => total + (Number(row[column]) || 0), 0);
+        return [{
+            total_balance: sum(db.rows('users'), 'balance'),
+            users_with_balance: db.rows('users').filter(user => Number(user.balance) > 0).length,
+            pending_count: withdrawals('pending').length,
+            pending_amount: sum(withdrawals('pending'), 'amount'),
+            approved_count: withdrawals('approved').length,
+            approved_amount: sum(withdrawals('approved'), 'amount'),
+        }];
+    },
+};
+
+function tableDefinition(table) {
+    return TABLES[table] || {};
+}
+
+// ------------------------------------------------------------------
+// Filtering helpers
+// ------------------------------------------------------------------
+
+function compareValues(a, b) {
+    if (typeof a === 'number' || typeof b === 'number') {
+        return Number(a) - Number(b);
+    }
+    return String(a) < String(b) ? -1 : String(a) > String(b) ? 1 : 0;
+}
+
+function looseEquals(a, b) {
+    if (a === null || a === undefined || b === null || b === undefined) {
+        return (a === null || a === undefined) && (b === null || b === undefined);
+    }
+    if (typeof a === 'boolean' || typeof b === 'boolean') {
+        return String(a) === String(b);
+    }
+    return compareValues(a, b) === 0;
+}
+
+function likeToRegExp(pattern) {
+    const escaped = String(pattern).replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/[%*]/g, '.*');
+    return new RegExp(`^${escaped}$`, 'i');
+}
+
+function matchesValue(actual, condition) {
+    if (condition === null) {
+        return actual === null || actual === undefined;
+    }
+    if (Array.isArray(condition)) {
+        return condition.some(value => looseEquals(actual, value));
+    }
+    if (typeof condition === 'object') {
+        return Object.entries(condition).every(([operator, operand]) => {
+            switch (operator) {
+                case 'eq': return looseEquals(actual, operand);
+                case 'neq': return !looseEquals(actual, operand);
+                case 'gt': return actual !== null && actual !== undefined && compareValues(actual, operand) > 0;
+                case 'gte': return actual !== null && actual !== undefined && compareValues(actual, operand) >= 0;
+                case 'lt': return actual !== null && actual !== undefined && compareValues(actual, operand) < 0;
+                case 'lte': return actual !== null && actual !== undefined && compareValues(actual, operand) <= 0;
+                case 'in': return operand.some(value => looseEquals(actual, value));
+                case 'is': return operand === null ? actual === null || actual === undefined : looseEquals(actual, operand);
+                case 'ilike': return actual !== null && actual !== undefined && likeToRegExp(operand).test(String(actual));
+                default: throw new Error(`Unsupported filter operator: ${operator}`);
+            }
+        });
+    }
+    return looseEquals(actual, condition);
+}
+
+function matchesWhere(row, where = {}, or) {
+    const matchesAll = Object.entries(where).every(([column, condition]) => matchesValue(row[column], condition));
+    if (!matchesAll) return false;
+    if (Array.isArray(or) && or.length > 0) {
+        return or.some(condition => matchesWhere(row, condition));
+    }
+    return true;
+}
+
+/**
+ * Applies a column list ('*', 'a,b' or ['a', 'alias:b']) to a row.
+ */
+function projectRow(row, columns) {
+    if (!columns || columns === '*') {
+        return { ...row };
+    }
+    const list = Array.isArray(columns) ? columns : String(columns).split(',');
+    const projected = {};
+    list.map(c => c.trim()).filter(Boolean).forEach(column => {
+        if (column === '*') {
+            Object.assign(projected, row);
+            return;
+        }
+        const [alias, source] = column.includes(':') ? column.split(':') : [column, column];
+        projected[alias] = row[source] === undefined ? null : row[source];
+    });
+    return projected;
+}
+
+function sortRows(rows, order) {
+    if (!order) return rows;
+    const orders = Array.isArray(order) ? order : [order];
+    return rows.sort((a, b) => {
+        for (const { column, ascending, nullsLast = ascending !== false } of orders) {
+            const aValue = a[column];
+            const bValue = b[column];
+            if (aValue === bValue) continue;
+            // Postgres puts NULLs last for ASC and first for DESC (unless nullsLast says otherwise)
+            if (aValue === null || aValue === undefined) return nullsLast ? 1 : -1;
+            if (bValue === null || bValue === undefined) return nullsLast ? -1 : 1;
+            const result = compareValues(aValue, bValue);
+            if (result !== 0) return ascending === false ? -result : result;
+        }
+        return 0;
+    });
+}
+
+function clone(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+// ------------------------------------------------------------------
+// Postgres functions (see supabase/migrations) re-implemented over the in-memory tables
+// ------------------------------------------------------------------
+const PROCEDURES = {
+    apply_balance_change(db, p) {
+        const user = db.rows('users').find(u => looseEquals(u.id, p.p_user_id));
+        if (!user) throw new Error('User not found.');
+
+        const amount = Number(p.p_amount);
+        if (amount < 0 && Number(user.balance) + amount < 0) {
+            throw new Error('Insufficient balance.');
+        }
+
+        user.balance = Number(user.balance) + amount;
+        const [entry] = db.insertRows('ledger', [{
+            user_id: user.id,
+            entry_type: p.p_entry_type,
+            amount,
+            balance_after: user.balance,
+            reference_type: p.p_reference_type || null,
+            reference_id: p.p_reference_id === undefined ? null : p.p_reference_id,
+            actor_id: p.p_actor_id || null
+        }]);
+
+        return [{ ledger_id: entry.id, new_balance: user.balance }];
+    },
+
+    credit_capped_reward(db, p) {
+        const columns = {
+            ads: ['ads_watched_today', 'ads_limit_reached_at'],
+            spins: ['spins_today', 'spins_limit_reached_at'],
+        }[p.p_counter];
+        if (!columns) throw new Error(`Unknown counter: ${p.p_counter}.`);
+        const [countColumn, reachedColumn] = columns;
+
+        const user = db.rows('users').find(u => looseEquals(u.id, p.p_user_id));
+        if (!user) throw new Error('User not found.');
+
+        const count = Number(user[countColumn]) || 0;
+        if (count >= p.p_max) return [{ allowed: false, new_count: count, new_balance: null }];
+
+        const now = new Date().toISOString();
+        user[countColumn] = count + 1;
+        if (count + 1 >= p.p_max) user[reachedColumn] = now;
+        user.last_activity = now;
+
+        const [change] = db.call('apply_balance_change', {
+            p_user_id: p.p_user_id,
+            p_amount: p.p_amount,
+            p_entry_type: p.p_entry_type,
+            p_reference_type: p.p_reference_type,
+            p_reference_id: p.p_reference_id
+        });
+        return [{ allowed: true, new_count: count + 1, new_balance: change.new_balance }];
+    },
+
+    claim_daily_bonus(db, p) {
+        const user = db.rows('users').find(u => looseEquals(u.id, p.p_user_id));
+        if (!user || (user.daily_bonus_last_claim_date || null) !== (p.p_previous_claim_date || null)) {
+            return [{ claimed: false, new_balance: null }];
+        }
+
+        user.daily_bonus_streak = p.p_streak;
+        user.daily_bonus_last_claim_date = p.p_claim_date;
+        user.last_activity = new Date().toISOString();
+
+        const [change] = db.call('apply_balance_change', {
+            p_user_id: p.p_user_id,
+            p_amount: p.p_amount,
+            p_entry_type: 'daily_bonus',
+            p_reference_type: 'daily_bonus',
+            p_reference_id: String(p.p_claim_date)
+        });
+        return [{ claimed: true, new_balance: change.new_balance }];
+    },
+
+    set_balance(db, p) {
+        const newBalance = Number(p.p_new_balance);
+        if (newBalance < 0) throw new Error('Balance cannot be negative.');
+
+        const user = db.rows('users').find(u => looseEquals(u.id, p.p_user_id));
+        if (!user) throw new Error('User not found.');
+
+        const oldBalance = Number(user.balance);
+        user.balance = newBalance;
+        const [entry] = db.insertRows('ledger', [{
+            user_id: user.id,
+            entry_type: p.p_entry_type,
+            amount: newBalance - oldBalance,
+            balance_after: newBalance,
+            reference_type: null,
+            reference_id: null,
+            actor_id: p.p_actor_id || null
+        }]);
+
+        return [{ ledger_id: entry.id, new_balance: newBalance, old_balance: oldBalance }];
+    },
+
+    request_withdrawal(db, p) {
+        const [withdrawal] = db.insertRows('withdrawals', [{
+            user_id: p.p_user_id,
+            amount: Number(p.p_amount),
+            binance_id: p.p_binance_id,
+            status: 'pending'
+        }]);
+        const [change] = db.call('apply_balance_change', {
+            p_user_id: p.p_user_id,
+            p_amount: -Number(p.p_amount),
+            p_entry_type: 'withdrawal',
+            p_reference_type: 'withdrawal',
+            p_reference_id: String(withdrawal.id)
+        });
+        return [{ withdrawal_id: withdrawal.id, new_balance: change.new_balance }];
+    },
+
+    transition_withdrawal(db, p) {
+        const row = db.rows('withdrawals').find(w => looseEquals(w.id, p.p_withdrawal_id));
+        if (!row) throw new Error('Withdrawal not found.');
+
+        const allowed = (row.status === 'pending' && ['approved', 'rejected'].includes(p.p_to_status)) ||
+            (row.status === 'approved' && p.p_to_status === 'paid');
+        if (!allowed) {
+            throw new Error(`Invalid withdrawal transition: ${row.status} -> ${p.p_to_status}.`);
+        }
+
+        const now = new Date().toISOString();
+        if (p.p_to_status === 'approved') {
+            Object.assign(row, { status: 'approved', approved_by: p.p_actor_id, approved_at: now, updated_at: now });
+        } else if (p.p_to_status === 'paid') {
+            Object.assign(row, { status: 'paid', paid_by: p.p_actor_id, paid_at: now, payout_reference: p.p_payout_reference || null, updated_at: now });
+        } else {
+            Object.assign(row, { status: 'rejected', rejected_by: p.p_actor_id, rejected_at: now, rejection_reason: p.p_reason || null, updated_at: now });
+            db.call('apply_balance_change', {
+                p_user_id: row.user_id,
+                p_amount: Number(row.amount),
+                p_entry_type: 'withdrawal_refund',
+                p_reference_type: 'withdrawal',
+                p_reference_id: String(row.id),
+                p_actor_id: p.p_actor_id
+            });
+        }
+
+        return [{ ...row }];
+    },
+
+    pay_commission(db, p) {
+        const duplicate = db.rows('commission_history').some(c =>
+            looseEquals(c.referrer_id, p.p_referrer_id) && c.source_type === p.p_source_type && String(c.source_id) === String(p.p_source_id));
+        if (duplicate) return [];
+
+        const [commission] = db.insertRows('commission_history', [{
+            referrer_id: p.p_referrer_id,
+            referee_id: p.p_referee_id,
+            amount: Number(p.p_amount),
+            source_reward: Number(p.p_source_reward),
+            source_type: p.p_source_type,
+            source_id: String(p.p_source_id),
+            level: p.p_level === undefined ? 1 : Number(p.p_level)
+        }]);
+        const [change] = db.call('apply_balance_change', {
+            p_user_id: p.p_referrer_id,
+            p_amount: Number(p.p_amount),
+            p_entry_type: 'referral_commission',
+            p_reference_type: 'commission',
+            p_reference_id: String(commission.id)
+        });
+        return [{ commission_id: commission.id, new_balance: change.new_balance }];
+    },
+
+    pay_contest_prize(db, p) {
+        const contest = db.rows('contests').find(c => looseEquals(c.id, p.p_contest_id));
+        if (!contest || contest.status !== 'paying') {
+            throw new Error(`Contest ${p.p_contest_id} is not being paid (status: ${contest ? contest.status : 'missing'}).`);
+        }
+
+        const duplicate = db.rows('contest_payouts').some(payout =>
+            looseEquals(payout.contest_id, p.p_contest_id) && looseEquals(payout.user_id, p.p_user_id));
+        if (duplicate) return [];
+
+        const [payout] = db.insertRows('contest_payouts', [{
+            contest_id: p.p_contest_id,
+            user_id: p.p_user_id,
+            rank: p.p_rank,
+            amount: Number(p.p_amount)
+        }]);
+        const [change] = db.call('apply_balance_change', {
+            p_user_id: p.p_user_id,
+            p_amount: Number(p.p_amount),
+            p_entry_type: 'contest_prize',
+            p_reference_type: 'contest',
+            p_reference_id: String(p.p_contest_id),
+            p_actor_id: p.p_actor_id || null
+        });
+        return [{ payout_id: payout.id, new_balance: change.new_balance }];
+    },
+
+    leaderboard_standings(db, p) {
+        const inRange = time => time !== null && time !== undefined && compareValues(time, p.p_starts_at) >= 0 && compareValues(time, p.p_ends_at) < 0;
+        const scores = new Map();
+        const add = (userId, value) => scores.set(String(userId), (scores.get(String(userId)) || 0) + value);
+
+        if (p.p_metric === 'ads' || p.p_metric === 'earned') {
+            const entryTypes = p.p_metric === 'ads' ? ['ad_reward'] : EARNING_ENTRY_TYPES;
+            db.rows('ledger').filter(entry => entryTypes.includes(entry.entry_type) && inRange(entry.created_at))
+                .forEach(entry => add(entry.user_id, p.p_metric === 'ads' ? 1 : Number(entry.amount) || 0));
+        } else if (p.p_metric === 'referrals') {
+            db.rows('users').filter(user => user.ref_by !== null && user.ref_by !== undefined && inRange(user.referral_qualified_at))
+                .forEach(user => add(user.ref_by, 1));
+        }
+
+        const excluded = new Set((p.p_exclude || []).map(String));
+        const users = new Map(db.rows('users').map(user => [String(user.id), user]));
+        const standings = Array.from(scores.entries())
+            .filter(([userId, score]) => score > 0 && users.has(userId) && !users.get(userId).is_banned && !excluded.has(userId))
+            .map(([userId, score]) => ({ user_id: Number(userId), score }))
+            .sort((a, b) => b.score - a.score || a.user_id - b.user_id)
+            .map((entry, index) => ({ rank: index + 1, ...entry }));
+        const own = standings.find(entry => looseEquals(entry.user_id, p.p_user_id));
+
+        return [{
+            top: standings.slice(0, p.p_limit),
+            participants: standings.length,
+            user_rank: own ? own.rank : null,
+            user_score: own ? own.score : null
+        }];
+    },
+
+    admin_stats(db, p) {
+        const DAY_MS = 24 * 60 * 60 * 1000;
+        const start = new Date(p.p_starts_at).getTime();
+        const end = new Date(p.p_ends_at).getTime();
+        const dayOf = time => new Date(time).toISOString().slice(0, 10);
+        const inRange = (time, from = start) => new Date(time).getTime() >= from && new Date(time).getTime() < end;
+
+        const activeByDay = new Map();
+        db.rows('ledger').filter(entry => p.p_activity_types.includes(entry.entry_type) && inRange(entry.created_at, start - 6 * DAY_MS))
+            .forEach(entry => {
+                const day = dayOf(entry.created_at);
+                if (!activeByDay.has(day)) activeByDay.set(day, new Set());
+                activeByDay.get(day).add(String(entry.user_id));
+            });
+        const activeOver = (from, to) => {
+            const users = new Set();
+            activeByDay.forEach((ids, day) => { if (day >= from && day <= to) ids.forEach(id => users.add(id)); });
+            return users.size;
+        };
+
+        const activeDaily = [];
+        for (let time = start; time < end; time += DAY_MS) {
+            const date = dayOf(time);
+            activeDaily.push({ date, dau: activeOver(date, date), wau: activeOver(dayOf(time - 6 * DAY_MS), date) });
+        }
+
+        const hours = new Map();
+        const hourOf = time => `${new Date(time).toISOString().slice(0, 13)}:00:00.000Z`;
+        const bump = (time, column) => {
+            const hour = hourOf(time);
+            if (!hours.has(hour)) hours.set(hour, { hour, ads: 0, spins: 0 });
+            hours.get(hour)[column] += 1;
+        };
+        db.rows('ledger').filter(entry => entry.entry_type === 'ad_reward' && inRange(entry.created_at)).forEach(entry => bump(entry.created_at, 'ads'));
+        db.rows('spin_results').filter(spin => inRange(spin.created_at)).forEach(spin => bump(spin.created_at, 'spins'));
+
+        const credits = new Map();
+        db.rows('ledger').filter(entry => p.p_credit_types.includes(entry.entry_type) && inRange(entry.created_at)).forEach(entry => {
+            const key = `${dayOf(entry.created_at)}:${entry.entry_type}`;
+            if (!credits.has(key)) credits.set(key, { date: dayOf(entry.created_at), entry_type: entry.entry_type, amount: 0 });
+            credits.get(key).amount += Number(entry.amount) || 0;
+        });
+
+        return [{
+            active_daily: activeDaily,
+            active_total: activeOver(dayOf(start), dayOf(end - 1)),
+            hourly: sortRows(Array.from(hours.values()), { column: 'hour' }),
+            credited: sortRows(Array.from(credits.values()), { column: 'date' })
+        }];
+    },
+
+    consume_rate_limits(db, p) {
+        const now = Date.now();
+        const buckets = p.p_keys.map((key, index) => {
+            let bucket = db.rows('rate_limit_buckets').find(b => b.key === key);
+            if (!bucket) {
+                [bucket] = db.insertRows('rate_limit_buckets', [{ key, tokens: p.p_capacities[index], updated_at: new Date(now).toISOString() }]);
+            }
+            const elapsedSeconds = Math.max(now - new Date(bucket.updated_at).getTime(), 0) / 1000;
+            return { bucket, tokens: Math.min(p.p_capacities[index], Number(bucket.tokens) + elapsedSeconds / p.p_refill_seconds[index]), index };
+        });
+
+        const refused = buckets.find(entry => entry.tokens < 1);
+        if (refused) {
+            return [{ allowed: false, refused_key: refused.bucket.key, retry_after_ms: Math.ceil((1 - refused.tokens) * p.p_refill_seconds[refused.index] * 1000) }];
+        }
+
+        buckets.forEach(({ bucket, tokens }) => {
+            bucket.tokens = tokens - 1;
+            bucket.updated_at = new Date(now).toISOString();
+        });
+        return [{ allowed: true, refused_key: null, retry_after_ms: 0 }];
+    },
+};
+
+// ------------------------------------------------------------------
+// Adapter
+// ------------------------------------------------------------------
+
+function createMemoryStorage({ file = null, seed = null } = {}) {
+    const db = {
+        tables: {},
+        sequences: {},
+    };
+
+    // Tables touched by the running transaction: their rows before it started, for rollback and the change log
+    let journal = null;
+
+    function rowsOf(table) {
+        if (!db.tables[table]) db.tables[table] = [];
+        if (journal && !journal.tables.has(table)) {
+            const rows = db.tables[table];
+            // Append-only tables only ever grow, so their length is enough
+            journal.tables.set(table, tableDefinition(table).appendOnly
+                ? { length: rows.length }
+                : { rows: rows.slice(), copies: rows.map(row => ({ ...row })) });
+        }
+        return db.tables[table];
+    }
+
+    db.rows = rowsOf;
+
+    function readRows(table) {
+        return VIEWS[table] ? VIEWS[table](db) : rowsOf(table);
+    }
+
+    function assertWritable(table) {
+        if (VIEWS[table]) throw new Error(`${table} is a view.`);
+    }
+
+    function keyOf(table) {
+        return tableDefinition(table).primaryKey || 'id';
+    }
+
+    function sameRow(a, b) {
+        const keys = Object.keys(a);
+        return keys.length === Object.keys(b).length && keys.every(key => a[key] === b[key]);
+    }
+
+    /**
+     * Rows inserted or changed (upsert) and keys removed (remove) per table since the journal was opened.
+     */
+    function journalChanges() {
+        const changes = {};
+        journal.tables.forEach((before, table) => {
+            const rows = rowsOf(table);
+            if (before.length !== undefined) {
+                if (rows.length > before.length) changes[table] = { upsert: rows.slice(before.length), remove: [] };
+                return;
+            }
+
+            const previous = new Map(before.rows.map((row, index) => [row, before.copies[index]]));
+            const current = new Set(rows);
+            const upsert = rows.filter(row => !previous.has(row) || !sameRow(row, previous.get(row)));
+            const remove = before.rows.filter(row => !current.has(row)).map(row => row[keyOf(table)]);
+            if (upsert.length > 0 || remove.length > 0) changes[table] = { upsert, remove };
+        });
+        return changes;
+    }
+
+    function applyChanges(changes) {
+        Object.entries(changes).forEach(([table, { upsert, remove }]) => {
+            const key = keyOf(table);
+            const removed = new Set(remove.map(String));
+            const byKey = new Map(upsert.map(row => [String(row[key]), row]));
+            const kept = rowsOf(table)
+                .filter(row => !removed.has(String(row[key])))
+                .map(row => {
+                    const updated = byKey.get(String(row[key]));
+                    byKey.delete(String(row[key]));
+                    return updated || row;
+                });
+            db.tables[table] = kept.concat(Array.from(byKey.values()));
+        });
+    }
+
+    const logFile = file ? `${file}.log` : null;
+    let logEntries = 0;
+
+    function writeSnapshot() {
+        const tmpFile = `${file}.tmp`;
+        fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+        fs.writeFileSync(tmpFile, JSON.stringify({ tables: db.tables, sequences: db.sequences }));
+        fs.renameSync(tmpFile, file);
+        if (fs.existsSync(logFile)) fs.unlinkSync(logFile);
+        logEntries = 0;
+    }
+
+    function persist(changes) {
+        if (!file || Object.keys(changes).length === 0) return;
+        if (logEntries + 1 >= JOURNAL_COMPACT_ENTRIES) {
+            writeSnapshot();
+            return;
+        }
+        fs.appendFileSync(logFile, `${JSON.stringify({ changes, sequences: db.sequences })}\n`);
+        logEntries += 1;
+    }
+
+    function load() {
+        const snapshot = JSON.parse(fs.readFileSync(file, 'utf8'));
+        db.tables = snapshot.tables || {};
+        db.sequences = snapshot.sequences || {};
+        if (!fs.existsSync(logFile)) return;
+
+        for (const line of fs.readFileSync(logFile, 'utf8').split('\n').filter(Boolean)) {
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (error) {
+                break; // a write cut off by a crash; everything before it is complete
+            }
+            applyChanges(entry.changes);
+            db.sequences = entry.sequences;
+        }
+        // Start the next log on a fresh snapshot (this also drops a cut-off last line)
+        writeSnapshot();
+    }
+
+    function checkUnique(table, row, ignoreRow = null) {
+        const definition = tableDefinition(table);
+        const keys = [...(definition.unique || [])];
+        keys.push([definition.primaryKey || 'id']);
+
+        keys.forEach(columns => {
+            const clash = rowsOf(table).some(existing => existing !== ignoreRow &&
+                columns.every(column => row[column] !== null && row[column] !== undefined && looseEquals(existing[column], row[column])));
+            if (clash) {
+                throw new Error(`duplicate key value violates unique constraint "${table}_${columns.join('_')}_key"`);
+            }
+        });
+    }
+
+    db.insertRows = (table, rows) => {
+        assertWritable(table);
+        const definition = tableDefinition(table);
+        const inserted = [];
+
+        rows.forEach(input => {
+            const row = {
+                ...(definition.defaults ? definition.defaults() : {}),
+                ...input,
+            };
+            if (!definition.primaryKey && (row.id === undefined || row.id === null)) {
+                db.sequences[table] = (db.sequences[table] || 0) + 1;
+                row.id = db.sequences[table];
+            }
+            if (row.created_at === undefined) {
+                row.created_at = new Date().toISOString();
+            }
+            if (definition.beforeInsert) definition.beforeInsert(row, db);
+            checkUnique(table, row);
+            rowsOf(table).push(row);
+            inserted.push(row);
+        });
+
+        return inserted;
+    };
+
+    db.call = (functionName, params) => {
+        const procedure = PROCEDURES[functionName];
+        if (!procedure) {
+            throw new Error(`Could not find the function ${functionName} in the schema cache`);
+        }
+        return procedure(db, params);
+    };
+
+    /**
+     * Runs a mutation so a thrown error leaves the tables untouched (like a transaction). Only the
+     * tables the mutation touches are copied, and only the rows it changed are written to the log.
+     */
+    function transaction(mutation) {
+        journal = { tables: new Map(), sequences: { ...db.sequences } };
+        try {
+            const result = mutation();
+            persist(journalChanges());
+            return result;
+        } catch (error) {
+            journal.tables.forEach((before, table) => {
+                if (before.length !== undefined) db.tables[table].length = before.length;
+                else db.tables[table] = before.copies;
+            });
+            db.sequences = journal.sequences;
+            throw error;
+        } finally {
+            journal = null;
+        }
+    }
+
+    if (file && fs.existsSync(file)) {
+        load();
+    } else {
+        if (seed) Object.entries(seed).forEach(([table, rows]) => db.insertRows(table, rows));
+        if (file) writeSnapshot();
+    }
+
+    return {
+        name: 'memory',
+        db,
+
+        async select(table, { where, or, columns, order, limit, offset } = {}) {
+            let rows = readRows(table).filter(row => matchesWhere(row, where, or));
+            rows = sortRows(rows.slice(), order);
+            const start = offset || 0;
+            rows = rows.slice(start, limit !== undefined ? start + limit : undefined);
+            return clone(rows.map(row => projectRow(row, columns)));
+        },
+
+        async count(table, { where, or } = {}) {
+            return readRows(table).filter(row => matchesWhere(row, where, or)).length;
+        },
+
+        async insert(table, rows, { columns } = {}) {
+            const inserted = transaction(() => db.insertRows(table, Array.isArray(rows) ? rows : [rows]));
+            return clone(inserted.map(row => projectRow(row, columns)));
+        },
+
+        async upsert(table, rows, { columns, onConflict } = {}) {
+            const definition = tableDefinition(table);
+            const keyColumns = onConflict ? onConflict.split(',') : [definition.primaryKey || 'id'];
+
+            const saved = transaction(() => (Array.isArray(rows) ? rows : [rows]).map(input => {
+                const existing = rowsOf(table).find(row => keyColumns.every(column => looseEquals(row[column], input[column])));
+                if (existing) {
+                    checkUnique(table, { ...existing, ...input }, existing);
+                    return Object.assign(existing, input);
+                }
+                return db.insertRows(table, [input])[0];
+            }));
+            return clone(saved.map(row => projectRow(row, columns)));
+        },
+
+        async update(table, where, patch, { columns } = {}) {
+            assertWritable(table);
+            if (tableDefinition(table).appendOnly) throw new Error(`${table} is append-only.`);
+
+            const updated = transaction(() => rowsOf(table).filter(row => matchesWhere(row, where)).map(row => {
+                checkUnique(table, { ...row, ...patch }, row);
+                Object.assign(row, patch);
+                return row;
+            }));
+            return clone(updated.map(row => projectRow(row, columns)));
+        },
+
+        async remove(table, where) {
+            assertWritable(table);
+            const definition = tableDefinition(table);
+            if (definition.appendOnly) throw new Error(`${table} is append-only.`);
+
+            const removed = transaction(() => {
+                const matching = rowsOf(table).filter(row => matchesWhere(row, where));
+                Object.entries(definition.restrict || {}).forEach(([childTable, foreignKey]) => {
+                    const ids = matching.map(row => row.id);
+                    if (rowsOf(childTable).some(child => ids.some(id => looseEquals(child[foreignKey], id)))) {
+                        throw new Error(`update or delete on table "${table}" violates foreign key constraint "${childTable}_${foreignKey}_fkey" on table "${childTable}"`);
+                    }
+                });
+                db.tables[table] = rowsOf(table).filter(row => !matching.includes(row));
+
+                Object.entries(definition.cascade || {}).forEach(([childTable, foreignKey]) => {
+                    const ids = matching.map(row => row.id);
+                    db.tables[childTable] = rowsOf(childTable).filter(child => !ids.some(id => looseEquals(child[foreignKey], id)));
+                });
+
+                return matching;
+            });
+            return clone(removed);
+        },
+
+        async rpc(functionName, params = {}) {
+            const rows = transaction(() => db.call(functionName, params));
+            return Array.isArray(rows) && rows.length > 0 ? clone(rows[0]) : null;
+        },
+    };
+}
+
+module.exports = { createMemoryStorage, TABLES, VIEWS, PROCEDURES };
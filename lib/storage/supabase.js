@@ -0,0 +1,169 @@
+// /lib/storage/supabase.js
+
+/**
+ * Supabase (PostgREST) storage adapter.
+ * Translates the storage interface (where/columns/order/limit) into PostgREST query strings.
+ */
+
+const FILTER_OPERATORS = ['eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'in', 'is', 'ilike'];
+
+/**
+ * Quotes a value for use inside a PostgREST in.(...) list or or=(...) tree, where commas,
+ * parentheses and dots would otherwise be read as syntax.
+ */
+function quoteListValue(value) {
+    return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * Builds one PostgREST filter expression (e.g. "eq.5", "in.(1,2)", "is.null") for a where value.
+ * `quote` quotes the operands too (needed inside or=(...)).
+ */
+function buildFilterExpressions(value, quote = false) {
+    const operandOf = operand => (quote ? quoteListValue(operand) : operand);
+
+    if (value === null) {
+        return ['is.null'];
+    }
+    if (Array.isArray(value)) {
+        return [`in.(${value.map(quoteListValue).join(',')})`];
+    }
+    if (typeof value === 'object') {
+        return Object.entries(value).map(([operator, operand]) => {
+            if (!FILTER_OPERATORS.includes(operator)) {
+                throw new Error(`Unsupported filter operator: ${operator}`);
+            }
+            if (operator === 'in') return `in.(${operand.map(quoteListValue).join(',')})`;
+            if (operator === 'is') {
+                if (![null, true, false].includes(operand)) throw new Error('The is operator takes null, true or false.');
+                return `is.${operand}`;
+            }
+            if (operator === 'ilike') return `ilike.${operandOf(String(operand).replace(/%/g, '*'))}`;
+            return `${operator}.${operandOf(operand)}`;
+        });
+    }
+    return [`eq.${operandOf(value)}`];
+}
+
+/**
+ * Builds the query string for a request. `or` is an array of where objects combined with OR.
+ */
+function buildQuery({ where = {}, or, columns, order, limit, offset } = {}) {
+    const params = [];
+
+    if (columns) {
+        params.push(`select=${Array.isArray(columns) ? columns.join(',') : columns}`);
+    }
+
+    Object.entries(where).forEach(([column, value]) => {
+        buildFilterExpressions(value).forEach(expression => {
+            params.push(`${encodeURIComponent(column)}=${encodeURIComponent(expression)}`);
+        });
+    });
+
+    if (Array.isArray(or) && or.length > 0) {
+        const conditions = or.flatMap(condition => Object.entries(condition).flatMap(([column, value]) =>
+            buildFilterExpressions(value, true).map(expression => `${column}.${expression}`)
+        ));
+        params.push(`or=${encodeURIComponent(`(${conditions.join(',')})`)}`);
+    }
+
+    if (order) {
+        const orders = Array.isArray(order) ? order : [order];
+        params.push(`order=${orders.map(o => `${o.column}.${o.ascending === false ? 'desc' : 'asc'}${o.nullsLast === undefined ? '' : o.nullsLast ? '.nullslast' : '.nullsfirst'}`).join(',')}`);
+    }
+    if (limit !== undefined) params.push(`limit=${limit}`);
+    if (offset !== undefined) params.push(`offset=${offset}`);
+
+    return params.length > 0 ? `?${params.join('&')}` : '';
+}
+
+function createSupabaseStorage({ url, key } = {}) {
+
+    async function request(path, method, body = null, queryParams = '', extraHeaders = {}) {
+        if (!url || !key) {
+            throw new Error('Supabase environment variables are not configured.');
+        }
+
+        const headers = {
+            'apikey': key,
+            'Authorization': `Bearer ${key}`,
+            'Content-Type': 'application/json',
+            'Prefer': 'return=representation',
+            ...extraHeaders
+        };
+
+        const response = await fetch(`${url}/rest/v1/${path}${queryParams}`, {
+            method,
+            headers,
+            body: body ? JSON.stringify(body) : null,
+        });
+
+        if (response.ok) {
+            return response;
+        }
+
+        let data;
+        try {
+            data = await response.json();
+        } catch (e) {
+            throw new Error(`Supabase error: ${response.status} ${response.statusText}`);
+        }
+
+        throw new Error(data.message || `Supabase error: ${response.status} ${response.statusText}`);
+    }
+
+    async function requestRows(path, method, body, queryParams) {
+        const response = await request(path, method, body, queryParams);
+        const responseText = await response.text();
+        try {
+            const jsonResponse = JSON.parse(responseText);
+            return Array.isArray(jsonResponse) ? jsonResponse : [];
+        } catch (e) {
+            return [];
+        }
+    }
+
+    return {
+        name: 'supabase',
+
+        async select(table, options = {}) {
+            return requestRows(table, 'GET', null, buildQuery({ columns: '*', ...options }));
+        },
+
+        async count(table, options = {}) {
+            const response = await request(table, 'HEAD', null, buildQuery({ where: options.where, or: options.or, columns: '*' }), { 'Prefer': 'count=exact' });
+            const contentRange = response.headers.get('content-range') || '';
+            const total = parseInt(contentRange.split('/')[1]);
+            return isNaN(total) ? 0 : total;
+        },
+
+        async insert(table, rows, options = {}) {
+            return requestRows(table, 'POST', rows, buildQuery({ columns: options.columns || '*' }));
+        },
+
+        async upsert(table, rows, options = {}) {
+            const conflict = options.onConflict ? `&on_conflict=${options.onConflict}` : '';
+            const response = await request(table, 'POST', rows, `${buildQuery({ columns: options.columns || '*' })}${conflict}`, {
+                'Prefer': 'return=representation,resolution=merge-duplicates'
+            });
+            const rowsReturned = await response.json().catch(() => []);
+            return Array.isArray(rowsReturned) ? rowsReturned : [];
+        },
+
+        async update(table, where, patch, options = {}) {
+            return requestRows(table, 'PATCH', patch, buildQuery({ where, columns: options.columns || '*' }));
+        },
+
+        async remove(table, where) {
+            return requestRows(table, 'DELETE', null, buildQuery({ where }));
+        },
+
+        async rpc(functionName, params = {}) {
+            const rows = await requestRows(`rpc/${functionName}`, 'POST', params, '');
+            return rows.length > 0 ? rows[0] : null;
+        },
+    };
+}
+
+module.exports = { createSupabaseStorage, buildQuery };
@@ -0,0 +1,81 @@
+// /lib/telegramBot.js
+
+/**
+ * Minimal Telegram Bot API client for the bot webhook.
+ * BOT_TOKEN authenticates calls; MINI_APP_URL (optional) adds an "Open app" button to replies;
+ * TELEGRAM_WEBHOOK_SECRET is the secret_token Telegram echoes in the
+ * X-Telegram-Bot-Api-Secret-Token header of every webhook request.
+ */
+const crypto = require('crypto');
+
+const WEBHOOK_SECRET_HEADER = 'x-telegram-bot-api-secret-token';
+
+/**
+ * Calls a Bot API method. Returns the parsed response ({ ok, result } or { ok: false, description }).
+ */
+async function callBotApi(method, payload = {}) {
+    const token = process.env.BOT_TOKEN;
+    if (!token) {
+        throw new Error('BOT_TOKEN is not configured.');
+    }
+
+    const response = await fetch(`https://api.telegram.org/bot${token}/${method}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload)
+    });
+
+    let data;
+    try {
+        data = await response.json();
+    } catch (e) {
+        data = { ok: false, description: `${response.status} ${response.statusText}` };
+    }
+    if (!data.ok) {
+        console.error(`Telegram API error (${method}):`, data.description);
+    }
+    return data;
+}
+
+/**
+ * Inline keyboard with a button that opens the Mini App, or undefined when MINI_APP_URL is not set.
+ */
+function miniAppKeyboard(text = 'Open app') {
+    const url = process.env.MINI_APP_URL;
+    if (!url) return undefined;
+    return { inline_keyboard: [[{ text, web_app: { url } }]] };
+}
+
+async function sendMessage(chatId, text, { withAppButton = true, parseMode = 'HTML' } = {}) {
+    const payload = { chat_id: chatId, text, parse_mode: parseMode, disable_web_page_preview: true };
+    const keyboard = withAppButton ? miniAppKeyboard() : undefined;
+    if (keyboard) payload.reply_markup = keyboard;
+    return callBotApi('sendMessage', payload);
+}
+
+/**
+ * Splits "/start@MyBot ref_42" into { command: 'start', args: ['ref_42'] }. Returns null for non-commands.
+ */
+function parseCommand(text) {
+    if (typeof text !== 'string' || !text.startsWith('/')) return null;
+    const [head, ...args] = text.trim().split(/\s+/);
+    return { command: head.slice(1).split('@')[0].toLowerCase(), args };
+}
+
+/**
+ * True when the webhook request carries the configured secret token.
+ */
+function isValidWebhookRequest(headers = {}) {
+    const secret = process.env.TELEGRAM_WEBHOOK_SECRET;
+    if (!secret) return false;
+
+    const received = Buffer.from(String(headers[WEBHOOK_SECRET_HEADER] || ''));
+    const expected = Buffer.from(secret);
+    return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+}
+
+function escapeHtml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+module.exports = { callBotApi, sendMessage, miniAppKeyboard, parseCommand, isValidWebhookRequest, escapeHtml };
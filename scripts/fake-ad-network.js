@@ -0,0 +1,47 @@
+// /scripts/fake-ad-network.js
+
+/**
+ * Local stand-in for an ad network: sends the signed "view completed" postback for a view
+ * opened with startAdView, exactly as a real hmac network would.
+ *
+ *   node scripts/fake-ad-network.js <view_id> <user_id> [network] [api_url]
+ *
+ * network defaults to "fake" and api_url to http://localhost:$PORT/api. The network secret is
+ * read from AD_NETWORKS (environment or config file, like server.js).
+ */
+const { loadConfigFile } = require('../server');
+const { getAdNetwork, signCallback } = require('../lib/adNetworks');
+
+async function main() {
+    const [viewId, userId, networkName = 'fake', apiUrl] = process.argv.slice(2);
+    if (!viewId || !userId) {
+        console.error('Usage: node scripts/fake-ad-network.js <view_id> <user_id> [network] [api_url]');
+        process.exit(1);
+    }
+
+    loadConfigFile();
+    const network = getAdNetwork(networkName);
+    if (!network || !network.callback) {
+        console.error(`Ad network ${networkName} is not configured with a callback in AD_NETWORKS.`);
+        process.exit(1);
+    }
+
+    const url = new URL(apiUrl || `http://localhost:${process.env.PORT || 3000}/api`);
+    url.searchParams.set('ad_callback', network.name);
+    url.searchParams.set(network.params.view_id, viewId);
+    url.searchParams.set(network.params.user_id, userId);
+    if (network.verify === 'token') {
+        url.searchParams.set(network.params.token, network.secret);
+    } else {
+        url.searchParams.set(network.params.signature, signCallback(network.secret, viewId, userId));
+    }
+
+    const response = await fetch(url);
+    console.log(response.status, await response.text());
+    process.exit(response.ok ? 0 : 1);
+}
+
+main().catch(error => {
+    console.error('Fake ad network failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,41 @@
+// /scripts/set-telegram-webhook.js
+
+/**
+ * Points the bot's webhook at this backend, with TELEGRAM_WEBHOOK_SECRET as the secret token.
+ *
+ *   node scripts/set-telegram-webhook.js https://your-host/api
+ *
+ * BOT_TOKEN and TELEGRAM_WEBHOOK_SECRET are read from the environment or the config file, like server.js.
+ */
+const { loadConfigFile } = require('../server');
+const { callBotApi } = require('../lib/telegramBot');
+
+async function main() {
+    const [apiUrl] = process.argv.slice(2);
+    if (!apiUrl) {
+        console.error('Usage: node scripts/set-telegram-webhook.js <api_url>');
+        process.exit(1);
+    }
+
+    loadConfigFile();
+    if (!process.env.TELEGRAM_WEBHOOK_SECRET) {
+        console.error('TELEGRAM_WEBHOOK_SECRET is not configured.');
+        process.exit(1);
+    }
+
+    const url = new URL(apiUrl);
+    url.searchParams.set('bot_webhook', '1');
+
+    const result = await callBotApi('setWebhook', {
+        url: url.toString(),
+        secret_token: process.env.TELEGRAM_WEBHOOK_SECRET,
+        allowed_updates: ['message']
+    });
+    console.log(result.ok ? `Webhook set to ${url}` : `setWebhook failed: ${result.description}`);
+    process.exit(result.ok ? 0 : 1);
+}
+
+main().catch(error => {
+    console.error('Setting the webhook failed:', error.message);
+    process.exit(1);
+});
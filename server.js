@@ -0,0 +1,112 @@
+// /server.js
+
+/**
+ * Standalone HTTP server for self-hosted deployments (Vercel uses api/index.js directly).
+ * - POST /api      -> the same handler Vercel runs
+ * - GET  / /admin  -> the admin panel (index.html)
+ *
+ * Configuration comes from environment variables, optionally preloaded from a JSON file
+ * (CONFIG_FILE, or ./config.json when present). Environment variables win over the file.
+ */
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const SHUTDOWN_TIMEOUT_MS = 10000; // Force exit if in-flight requests do not finish in time
+
+/**
+ * Copies keys from the config file into process.env without overriding real env values.
+ * Must run before api/index.js is required, because it reads its config at load time.
+ */
+function loadConfigFile() {
+    const configFile = process.env.CONFIG_FILE || path.join(__dirname, 'config.json');
+
+    if (!fs.existsSync(configFile)) {
+        if (process.env.CONFIG_FILE) {
+            throw new Error(`Config file not found: ${configFile}`);
+        }
+        return null;
+    }
+
+    const config = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+    Object.entries(config).forEach(([key, value]) => {
+        if (process.env[key] === undefined && value !== null && value !== undefined) {
+            process.env[key] = typeof value === 'object' ? JSON.stringify(value) : String(value);
+        }
+    });
+    return configFile;
+}
+
+function createServer() {
+    const apiHandler = require('./api/index.js');
+    const adminPanelPath = path.join(__dirname, 'index.html');
+
+    return http.createServer(async (req, res) => {
+        const { pathname } = new URL(req.url, 'http://localhost');
+
+        try {
+            if (pathname === '/api' || pathname.startsWith('/api/')) {
+                return await apiHandler(req, res);
+            }
+
+            if (req.method === 'GET' && (pathname === '/' || pathname === '/admin')) {
+                res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+                return fs.createReadStream(adminPanelPath).pipe(res);
+            }
+
+            res.writeHead(404, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ ok: false, error: 'Not found.' }));
+        } catch (error) {
+            console.error('Unhandled request error:', error.message);
+            if (!res.headersSent) {
+                res.writeHead(500, { 'Content-Type': 'application/json' });
+            }
+            res.end(JSON.stringify({ ok: false, error: 'Internal server error.' }));
+        }
+    });
+}
+
+function start() {
+    const configFile = loadConfigFile();
+    const port = parseInt(process.env.PORT) || 3000;
+    const host = process.env.HOST || '0.0.0.0';
+
+    const server = createServer();
+    server.listen(port, host, () => {
+        console.log(`SHIB Ads backend listening on http://${host}:${port} (config: ${configFile || 'environment only'})`);
+    });
+
+    let shuttingDown = false;
+    const shutdown = signal => {
+        if (shuttingDown) return;
+        shuttingDown = true;
+        console.log(`${signal} received, closing server...`);
+
+        // Stop accepting connections and let in-flight requests finish
+        server.close(error => {
+            if (error) {
+                console.error('Error while closing server:', error.message);
+                process.exit(1);
+            }
+            console.log('Server closed.');
+            process.exit(0);
+        });
+        if (typeof server.closeIdleConnections === 'function') server.closeIdleConnections();
+
+        setTimeout(() => {
+            console.error('Shutdown timed out, forcing exit.');
+            process.exit(1);
+        }, SHUTDOWN_TIMEOUT_MS).unref();
+    };
+
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
+    process.on('SIGINT', () => shutdown('SIGINT'));
+
+    return server;
+}
+
+if (require.main === module) {
+    start();
+}
+
+module.exports = { createServer, loadConfigFile, start };
@@ -0,0 +1,57 @@
+-- Dynamic task catalog (replaces the single hardcoded channel task and users.task_completed)
+
+create table if not exists tasks (
+    id bigserial primary key,
+    name text not null,
+    link text not null,
+    reward numeric not null check (reward >= 0),
+    max_participants integer check (max_participants is null or max_participants > 0),
+    note text,
+    created_by bigint,
+    created_at timestamptz not null default now()
+);
+
+create table if not exists task_completions (
+    id bigserial primary key,
+    task_id bigint not null references tasks(id) on delete cascade,
+    user_id bigint not null references users(id) on delete cascade,
+    reward numeric not null,
+    created_at timestamptz not null default now(),
+    unique (task_id, user_id)
+);
+
+create index if not exists task_completions_user_id_idx on task_completions (user_id);
+
+-- Enforce max_participants inside the database so concurrent completions cannot overshoot the cap.
+create or replace function enforce_task_max_participants() returns trigger as $$
+declare
+    cap integer;
+    taken integer;
+begin
+    select max_participants into cap from tasks where id = new.task_id for update;
+    if cap is not null then
+        select count(*) into taken from task_completions where task_id = new.task_id;
+        if taken >= cap then
+            raise exception 'Task participant limit reached.';
+        end if;
+    end if;
+    return new;
+end;
+$$ language plpgsql;
+
+drop trigger if exists task_completions_max_participants on task_completions;
+create trigger task_completions_max_participants
+    before insert on task_completions
+    for each row execute function enforce_task_max_participants();
+
+-- Carry over the legacy channel task so users who already claimed it cannot claim it again.
+insert into tasks (name, link, reward, max_participants)
+select 'Join @botbababab', 'https://t.me/botbababab', 50, null
+where not exists (select 1 from tasks where link = 'https://t.me/botbababab');
+
+insert into task_completions (task_id, user_id, reward)
+select t.id, u.id, 50
+from users u
+join tasks t on t.link = 'https://t.me/botbababab'
+where u.task_completed = true
+on conflict (task_id, user_id) do nothing;
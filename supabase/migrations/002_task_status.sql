@@ -0,0 +1,4 @@
+-- Active/paused state for tasks: paused tasks stay in the catalog (and keep their completions) but are hidden from users.
+
+alter table tasks add column if not exists is_active boolean not null default true;
+alter table tasks add column if not exists updated_at timestamptz;
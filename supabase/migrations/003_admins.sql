@@ -0,0 +1,8 @@
+-- Server-side admin registry. Ids listed in the ADMIN_USER_IDS env variable are always treated as owners.
+
+create table if not exists admins (
+    user_id bigint primary key,
+    role text not null check (role in ('owner', 'finance', 'moderator', 'viewer')),
+    added_by bigint,
+    created_at timestamptz not null default now()
+);
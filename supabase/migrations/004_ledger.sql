@@ -0,0 +1,128 @@
+-- Append-only balance ledger. Every balance change goes through apply_balance_change / set_balance,
+-- which update users.balance and insert the ledger row in the same transaction.
+
+create table if not exists ledger (
+    id bigserial primary key,
+    user_id bigint not null references users(id),
+    entry_type text not null,
+    amount numeric not null,
+    balance_after numeric not null,
+    reference_type text,
+    reference_id text,
+    actor_id bigint,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists ledger_user_id_idx on ledger (user_id, created_at desc);
+create index if not exists ledger_reference_idx on ledger (reference_type, reference_id);
+
+create or replace function ledger_is_append_only() returns trigger as $$
+begin
+    raise exception 'ledger is append-only.';
+end;
+$$ language plpgsql;
+
+drop trigger if exists ledger_append_only on ledger;
+create trigger ledger_append_only
+    before update or delete on ledger
+    for each statement execute function ledger_is_append_only();
+
+-- Credits (positive amount) or debits (negative amount) a user. Debits never take the balance below zero.
+create or replace function apply_balance_change(
+    p_user_id bigint,
+    p_amount numeric,
+    p_entry_type text,
+    p_reference_type text default null,
+    p_reference_id text default null,
+    p_actor_id bigint default null
+) returns table (ledger_id bigint, new_balance numeric) as $$
+declare
+    v_balance numeric;
+    v_ledger_id bigint;
+begin
+    update users
+       set balance = balance + p_amount
+     where id = p_user_id
+       and (p_amount >= 0 or balance + p_amount >= 0)
+    returning balance into v_balance;
+
+    if not found then
+        if exists (select 1 from users where id = p_user_id) then
+            raise exception 'Insufficient balance.';
+        end if;
+        raise exception 'User not found.';
+    end if;
+
+    insert into ledger (user_id, entry_type, amount, balance_after, reference_type, reference_id, actor_id)
+    values (p_user_id, p_entry_type, p_amount, v_balance, p_reference_type, p_reference_id, p_actor_id)
+    returning id into v_ledger_id;
+
+    return query select v_ledger_id, v_balance;
+end;
+$$ language plpgsql;
+
+-- Overwrites a balance (admin adjustment) and records the difference in the ledger.
+create or replace function set_balance(
+    p_user_id bigint,
+    p_new_balance numeric,
+    p_entry_type text,
+    p_actor_id bigint default null
+) returns table (ledger_id bigint, new_balance numeric, old_balance numeric) as $$
+declare
+    v_old numeric;
+    v_ledger_id bigint;
+begin
+    if p_new_balance < 0 then
+        raise exception 'Balance cannot be negative.';
+    end if;
+
+    select balance into v_old from users where id = p_user_id for update;
+    if not found then
+        raise exception 'User not found.';
+    end if;
+
+    update users set balance = p_new_balance where id = p_user_id;
+
+    insert into ledger (user_id, entry_type, amount, balance_after, actor_id)
+    values (p_user_id, p_entry_type, p_new_balance - v_old, p_new_balance, p_actor_id)
+    returning id into v_ledger_id;
+
+    return query select v_ledger_id, p_new_balance, v_old;
+end;
+$$ language plpgsql;
+
+-- Creates a pending withdrawal and debits it in one transaction (rolls back on insufficient balance).
+create or replace function request_withdrawal(
+    p_user_id bigint,
+    p_amount numeric,
+    p_binance_id text
+) returns table (withdrawal_id bigint, new_balance numeric) as $$
+declare
+    v_withdrawal_id bigint;
+    v_balance numeric;
+begin
+    insert into withdrawals (user_id, amount, binance_id, status)
+    values (p_user_id, p_amount, p_binance_id, 'pending')
+    returning id into v_withdrawal_id;
+
+    select c.new_balance into v_balance
+    from apply_balance_change(p_user_id, -p_amount, 'withdrawal', 'withdrawal', v_withdrawal_id::text) c;
+
+    return query select v_withdrawal_id, v_balance;
+end;
+$$ language plpgsql;
+
+-- Opening entries so the ledger of existing users reconciles from day one.
+insert into ledger (user_id, entry_type, amount, balance_after, reference_type)
+select u.id, 'opening_balance', u.balance, u.balance, 'migration'
+from users u
+where u.balance <> 0
+  and not exists (select 1 from ledger l where l.user_id = u.id);
+
+-- Any row here means users.balance drifted from its ledger history.
+create or replace view ledger_reconciliation as
+select u.id as user_id, u.balance, coalesce(sum(l.amount), 0) as ledger_total
+from users u
+left join ledger l on l.user_id = u.id
+group by u.id, u.balance
+having u.balance <> coalesce(sum(l.amount), 0);
@@ -0,0 +1,57 @@
+-- Withdrawal state machine: pending -> approved -> paid, or pending -> rejected (refunded).
+
+alter table withdrawals add column if not exists approved_by bigint;
+alter table withdrawals add column if not exists approved_at timestamptz;
+alter table withdrawals add column if not exists paid_by bigint;
+alter table withdrawals add column if not exists paid_at timestamptz;
+alter table withdrawals add column if not exists payout_reference text;
+alter table withdrawals add column if not exists rejected_by bigint;
+alter table withdrawals add column if not exists rejected_at timestamptz;
+alter table withdrawals add column if not exists rejection_reason text;
+alter table withdrawals add column if not exists updated_at timestamptz;
+
+-- 'completed' was the previous name for an accepted withdrawal.
+update withdrawals set status = 'paid', paid_at = coalesce(paid_at, now()) where status = 'completed';
+
+alter table withdrawals drop constraint if exists withdrawals_status_check;
+alter table withdrawals add constraint withdrawals_status_check
+    check (status in ('pending', 'approved', 'paid', 'rejected'));
+
+-- Moves a withdrawal to its next status with a row lock. Rejection refunds the amount through the ledger.
+create or replace function transition_withdrawal(
+    p_withdrawal_id bigint,
+    p_to_status text,
+    p_actor_id bigint,
+    p_payout_reference text default null,
+    p_reason text default null
+) returns setof withdrawals as $$
+declare
+    v_row withdrawals%rowtype;
+begin
+    select * into v_row from withdrawals where id = p_withdrawal_id for update;
+    if not found then
+        raise exception 'Withdrawal not found.';
+    end if;
+
+    if not (
+        (v_row.status = 'pending' and p_to_status in ('approved', 'rejected')) or
+        (v_row.status = 'approved' and p_to_status = 'paid')
+    ) then
+        raise exception 'Invalid withdrawal transition: % -> %.', v_row.status, p_to_status;
+    end if;
+
+    if p_to_status = 'approved' then
+        update withdrawals set status = 'approved', approved_by = p_actor_id, approved_at = now(), updated_at = now()
+         where id = p_withdrawal_id;
+    elsif p_to_status = 'paid' then
+        update withdrawals set status = 'paid', paid_by = p_actor_id, paid_at = now(), payout_reference = p_payout_reference, updated_at = now()
+         where id = p_withdrawal_id;
+    else
+        update withdrawals set status = 'rejected', rejected_by = p_actor_id, rejected_at = now(), rejection_reason = p_reason, updated_at = now()
+         where id = p_withdrawal_id;
+        perform apply_balance_change(v_row.user_id, v_row.amount, 'withdrawal_refund', 'withdrawal', p_withdrawal_id::text, p_actor_id);
+    end if;
+
+    return query select * from withdrawals where id = p_withdrawal_id;
+end;
+$$ language plpgsql;
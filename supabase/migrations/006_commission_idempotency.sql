@@ -0,0 +1,37 @@
+-- Commissions are only paid from server-side reward events, once per (referrer, source event).
+
+alter table commission_history add column if not exists source_type text;
+alter table commission_history add column if not exists source_id text;
+
+create unique index if not exists commission_history_source_key
+    on commission_history (referrer_id, source_type, source_id);
+
+-- Records the commission and credits the referrer in one transaction.
+-- Returns no row when this source event already paid this referrer.
+create or replace function pay_commission(
+    p_referrer_id bigint,
+    p_referee_id bigint,
+    p_amount numeric,
+    p_source_reward numeric,
+    p_source_type text,
+    p_source_id text
+) returns table (commission_id bigint, new_balance numeric) as $$
+declare
+    v_commission_id bigint;
+    v_balance numeric;
+begin
+    insert into commission_history (referrer_id, referee_id, amount, source_reward, source_type, source_id)
+    values (p_referrer_id, p_referee_id, p_amount, p_source_reward, p_source_type, p_source_id)
+    on conflict (referrer_id, source_type, source_id) do nothing
+    returning id into v_commission_id;
+
+    if v_commission_id is null then
+        return;
+    end if;
+
+    select c.new_balance into v_balance
+    from apply_balance_change(p_referrer_id, p_amount, 'referral_commission', 'commission', v_commission_id::text) c;
+
+    return query select v_commission_id, v_balance;
+end;
+$$ language plpgsql;
@@ -0,0 +1,8 @@
+-- Admin-editable economy settings. Missing keys fall back to the defaults in lib/settings.js.
+
+create table if not exists settings (
+    key text primary key,
+    value jsonb not null,
+    updated_by bigint,
+    updated_at timestamptz not null default now()
+);
@@ -0,0 +1,7 @@
+-- Weighted spin wheel: remember which sector each spin landed on.
+-- The wheel itself is the 'spin_wheel' setting (see lib/spinWheel.js); old 'spin_sectors' rows are unused.
+
+alter table spin_results add column if not exists prize_index integer;
+alter table spin_results add column if not exists is_jackpot boolean not null default false;
+
+delete from settings where key = 'spin_sectors';
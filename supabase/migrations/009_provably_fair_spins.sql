@@ -0,0 +1,21 @@
+-- Provably fair spins: preSpin commits to sha256(server_seed), spinResult takes the client seed
+-- and reveals the server seed (so commitments carry no client seed).
+-- See lib/provablyFair.js for how the sector is derived.
+
+create table if not exists spin_commitments (
+    id bigserial primary key,
+    user_id bigint not null references users(id) on delete cascade,
+    server_seed text not null,
+    server_seed_hash text not null,
+    nonce integer not null,
+    wheel jsonb not null,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists spin_commitments_user_id on spin_commitments (user_id);
+
+alter table spin_results add column if not exists server_seed text;
+alter table spin_results add column if not exists server_seed_hash text;
+alter table spin_results add column if not exists client_seed text;
+alter table spin_results add column if not exists nonce integer;
+alter table spin_results add column if not exists wheel jsonb;
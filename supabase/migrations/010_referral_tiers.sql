@@ -0,0 +1,47 @@
+-- Multi-level referral commissions: commission_history records the level of each payout
+-- (1 = direct referrer). Rates come from the 'referral_commission_tiers' setting.
+
+alter table commission_history add column if not exists level integer not null default 1;
+
+create index if not exists commission_history_referrer_idx on commission_history (referrer_id, referee_id);
+
+-- Carry over a customised flat rate as the level 1 tier.
+insert into settings (key, value)
+select 'referral_commission_tiers', jsonb_build_array(value)
+from settings where key = 'referral_commission_rate'
+on conflict (key) do nothing;
+
+delete from settings where key = 'referral_commission_rate';
+
+drop function if exists pay_commission(bigint, bigint, numeric, numeric, text, text);
+
+-- Records the commission and credits the referrer in one transaction.
+-- Returns no row when this source event already paid this referrer.
+create or replace function pay_commission(
+    p_referrer_id bigint,
+    p_referee_id bigint,
+    p_amount numeric,
+    p_source_reward numeric,
+    p_source_type text,
+    p_source_id text,
+    p_level integer default 1
+) returns table (commission_id bigint, new_balance numeric) as $$
+declare
+    v_commission_id bigint;
+    v_balance numeric;
+begin
+    insert into commission_history (referrer_id, referee_id, amount, source_reward, source_type, source_id, level)
+    values (p_referrer_id, p_referee_id, p_amount, p_source_reward, p_source_type, p_source_id, p_level)
+    on conflict (referrer_id, source_type, source_id) do nothing
+    returning id into v_commission_id;
+
+    if v_commission_id is null then
+        return;
+    end if;
+
+    select c.new_balance into v_balance
+    from apply_balance_change(p_referrer_id, p_amount, 'referral_commission', 'commission', v_commission_id::text) c;
+
+    return query select v_commission_id, v_balance;
+end;
+$$ language plpgsql;
@@ -0,0 +1,15 @@
+-- Referral qualification: commissions only flow once the referee reaches the activity thresholds
+-- (settings 'referral_min_ads' / 'referral_min_active_days'). Set once, when first reached.
+
+alter table users add column if not exists referral_qualified_at timestamptz;
+
+-- Existing referrals keep paying.
+update users set referral_qualified_at = now() where ref_by is not null and referral_qualified_at is null;
+
+-- Self-referrals can no longer be stored.
+update users set ref_by = null where ref_by = id;
+alter table users drop constraint if exists users_no_self_referral;
+alter table users add constraint users_no_self_referral check (ref_by is null or ref_by <> id);
+
+create index if not exists users_ref_by_idx on users (ref_by);
+create index if not exists ledger_user_entry_idx on ledger (user_id, entry_type);
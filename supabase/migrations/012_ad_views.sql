@@ -0,0 +1,17 @@
+-- Ad views for networks that confirm completed views with a signed server-to-server callback.
+-- startAdView opens a pending view; the network postback completes it and the reward is credited.
+
+create table if not exists ad_views (
+    id bigserial primary key,
+    view_id text not null unique,
+    user_id bigint not null references users(id) on delete cascade,
+    network text not null,
+    status text not null default 'pending' check (status in ('pending', 'completed', 'expired', 'rejected')),
+    reward numeric,
+    rejection_reason text,
+    expires_at timestamptz not null,
+    completed_at timestamptz,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists ad_views_user_status_idx on ad_views (user_id, network, status);
@@ -0,0 +1,5 @@
+-- Daily check-in bonus: streak length and the UTC date of the last claim.
+-- Rewards per streak day come from the 'daily_bonus_rewards' setting.
+
+alter table users add column if not exists daily_bonus_streak integer not null default 0;
+alter table users add column if not exists daily_bonus_last_claim_date date;
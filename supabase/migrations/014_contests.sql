@@ -0,0 +1,64 @@
+-- Prize-pool contests on the weekly/monthly leaderboards (see lib/contests.js for the lifecycle).
+
+create table if not exists contests (
+    id bigserial primary key,
+    name text not null,
+    metric text not null check (metric in ('ads', 'earned', 'referrals')),
+    period text not null check (period in ('weekly', 'monthly')),
+    starts_at timestamptz not null,
+    ends_at timestamptz not null,
+    prize_pool numeric not null check (prize_pool > 0),
+    prize_shares jsonb not null,
+    status text not null default 'active' check (status in ('active', 'review', 'paid', 'cancelled')),
+    results jsonb,
+    disqualified jsonb not null default '[]'::jsonb,
+    closed_at timestamptz,
+    payout_due_at timestamptz,
+    paid_at timestamptz,
+    created_by bigint,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists contests_status_idx on contests (status);
+
+create table if not exists contest_payouts (
+    id bigserial primary key,
+    contest_id bigint not null references contests(id) on delete cascade,
+    user_id bigint not null references users(id),
+    rank integer not null,
+    amount numeric not null,
+    created_at timestamptz not null default now(),
+    unique (contest_id, user_id)
+);
+
+create index if not exists ledger_entry_created_idx on ledger (entry_type, created_at);
+create index if not exists users_referral_qualified_idx on users (referral_qualified_at);
+
+-- Records the prize and credits the winner in one transaction.
+-- Returns no row when this contest already paid this user.
+create or replace function pay_contest_prize(
+    p_contest_id bigint,
+    p_user_id bigint,
+    p_amount numeric,
+    p_rank integer,
+    p_actor_id bigint default null
+) returns table (payout_id bigint, new_balance numeric) as $$
+declare
+    v_payout_id bigint;
+    v_balance numeric;
+begin
+    insert into contest_payouts (contest_id, user_id, rank, amount)
+    values (p_contest_id, p_user_id, p_rank, p_amount)
+    on conflict (contest_id, user_id) do nothing
+    returning id into v_payout_id;
+
+    if v_payout_id is null then
+        return;
+    end if;
+
+    select c.new_balance into v_balance
+    from apply_balance_change(p_user_id, p_amount, 'contest_prize', 'contest', p_contest_id::text, p_actor_id) c;
+
+    return query select v_payout_id, v_balance;
+end;
+$$ language plpgsql;
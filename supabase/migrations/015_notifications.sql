@@ -0,0 +1,21 @@
+-- Bot notifications queue (see lib/notifications.js for the lifecycle and retry policy).
+
+create table if not exists notifications (
+    id bigserial primary key,
+    user_id bigint not null references users(id) on delete cascade,
+    template text not null,
+    params jsonb not null default '{}'::jsonb,
+    status text not null default 'pending' check (status in ('pending', 'sent', 'skipped', 'failed')),
+    attempts integer not null default 0,
+    next_attempt_at timestamptz not null default now(),
+    last_error text,
+    created_at timestamptz not null default now(),
+    sent_at timestamptz
+);
+
+create index if not exists notifications_due_idx on notifications (next_attempt_at) where status = 'pending';
+create index if not exists notifications_user_idx on notifications (user_id, created_at desc);
+
+-- Telegram language of the user (for localized messages) and when they blocked the bot.
+alter table users add column if not exists language_code text;
+alter table users add column if not exists bot_blocked_at timestamptz;
@@ -0,0 +1,6 @@
+-- Telegram profile of the user, refreshed on register and on every bot message.
+-- start_param is the start parameter (startapp link or bot /start payload) the user first arrived with.
+
+alter table users add column if not exists username text;
+alter table users add column if not exists first_name text;
+alter table users add column if not exists start_param text;
@@ -0,0 +1,44 @@
+-- Token buckets for rate limiting (see lib/rateLimit.js). One row per action, scope and subject,
+-- e.g. 'watchAd:user:42' or 'watchAd:ip:203.0.113.7'. An idle bucket refills to full capacity,
+-- so old rows can be deleted at any time without changing behaviour.
+
+create table if not exists rate_limit_buckets (
+    key text primary key,
+    tokens numeric not null,
+    updated_at timestamptz not null default now()
+);
+
+create index if not exists rate_limit_buckets_updated_idx on rate_limit_buckets (updated_at);
+
+-- Refills the bucket for the time passed since its last update and takes one token if available.
+-- retry_after_ms is how long until the next token when the request is refused.
+create or replace function consume_rate_limit(
+    p_key text,
+    p_capacity integer,
+    p_refill_seconds numeric
+) returns table (allowed boolean, tokens numeric, retry_after_ms integer) as $$
+declare
+    v_tokens numeric;
+    v_updated_at timestamptz;
+begin
+    insert into rate_limit_buckets (key, tokens, updated_at)
+    values (p_key, p_capacity, now())
+    on conflict (key) do nothing;
+
+    select b.tokens, b.updated_at into v_tokens, v_updated_at
+    from rate_limit_buckets b
+    where b.key = p_key
+    for update;
+
+    v_tokens := least(p_capacity, v_tokens + extract(epoch from (now() - v_updated_at)) / p_refill_seconds);
+
+    if v_tokens >= 1 then
+        update rate_limit_buckets set tokens = v_tokens - 1, updated_at = now() where key = p_key;
+        return query select true, v_tokens - 1, 0;
+    else
+        update rate_limit_buckets set tokens = v_tokens, updated_at = now() where key = p_key;
+        return query select false, v_tokens, ceil((1 - v_tokens) * p_refill_seconds * 1000)::integer;
+    end if;
+end;
+$$ language plpgsql;
+
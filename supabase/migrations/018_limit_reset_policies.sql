@@ -0,0 +1,5 @@
+-- The calendar_day and rolling_24h reset policies (lib/dailyLimits.js) count a user's credited
+-- ads and spins inside the current window on every ad/spin request.
+
+create index if not exists ledger_user_entry_created_idx on ledger (user_id, entry_type, created_at);
+create index if not exists spin_results_user_created_idx on spin_results (user_id, created_at);
@@ -0,0 +1,31 @@
+-- Append-only audit log of admin actions and withdrawal requests (see lib/audit.js).
+
+create table if not exists audit_log (
+    id bigserial primary key,
+    actor_id bigint not null,
+    actor_role text,
+    action text not null,
+    target_type text,
+    target_id text,
+    before jsonb,
+    after jsonb,
+    reason text,
+    ip text,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists audit_log_created_idx on audit_log (created_at desc);
+create index if not exists audit_log_actor_idx on audit_log (actor_id, created_at desc);
+create index if not exists audit_log_target_idx on audit_log (target_type, target_id);
+create index if not exists audit_log_action_idx on audit_log (action, created_at desc);
+
+create or replace function audit_log_is_append_only() returns trigger as $$
+begin
+    raise exception 'audit_log is append-only.';
+end;
+$$ language plpgsql;
+
+drop trigger if exists audit_log_append_only on audit_log;
+create trigger audit_log_append_only
+    before update or delete on audit_log
+    for each statement execute function audit_log_is_append_only();
@@ -0,0 +1,32 @@
+-- Admin user list (see lib/adminUsers.js): users with their lifetime earnings and referral count,
+-- so the panel can search, sort and paginate in the database.
+-- Earnings are the same ledger entry types the 'earned' leaderboard counts.
+
+create or replace view admin_user_overview as
+select
+    u.id,
+    u.username,
+    u.first_name,
+    u.balance,
+    u.is_banned,
+    u.ref_by,
+    u.created_at,
+    u.last_activity,
+    coalesce(e.total_earned, 0) as total_earned,
+    coalesce(r.referrals_count, 0) as referrals_count
+from users u
+left join (
+    select user_id, sum(amount) as total_earned
+    from ledger
+    where entry_type in ('ad_reward', 'spin_reward', 'task_reward', 'referral_commission', 'daily_bonus', 'contest_prize')
+    group by user_id
+) e on e.user_id = u.id
+left join (
+    select ref_by, count(*) as referrals_count
+    from users
+    where ref_by is not null
+    group by ref_by
+) r on r.ref_by = u.id;
+
+-- Withdrawal history in the user detail view
+create index if not exists withdrawals_user_created_idx on withdrawals (user_id, created_at desc);
@@ -0,0 +1,15 @@
+-- Admin dashboard (see lib/stats.js): current liability in one row, and the range scans.
+-- Withdrawal amounts leave the balance when requested, so pending and approved withdrawals
+-- are owed on top of the balances.
+
+create or replace view admin_liability as
+select
+    (select coalesce(sum(balance), 0) from users) as total_balance,
+    (select count(*) from users where balance > 0) as users_with_balance,
+    (select count(*) from withdrawals where status = 'pending') as pending_count,
+    (select coalesce(sum(amount), 0) from withdrawals where status = 'pending') as pending_amount,
+    (select count(*) from withdrawals where status = 'approved') as approved_count,
+    (select coalesce(sum(amount), 0) from withdrawals where status = 'approved') as approved_amount;
+
+create index if not exists spin_results_created_idx on spin_results (created_at);
+create index if not exists withdrawals_status_idx on withdrawals (status);
@@ -0,0 +1,46 @@
+-- The API talks to PostgREST with the service role key (SUPABASE_SERVICE_ROLE_KEY). The anon key is
+-- public, so nothing may be reachable with it: no balance-changing functions, no direct table writes.
+
+-- Functions: execute for the service role only
+revoke execute on function apply_balance_change(bigint, numeric, text, text, text, bigint) from public, anon, authenticated;
+revoke execute on function set_balance(bigint, numeric, text, bigint) from public, anon, authenticated;
+revoke execute on function request_withdrawal(bigint, numeric, text) from public, anon, authenticated;
+revoke execute on function transition_withdrawal(bigint, text, bigint, text, text) from public, anon, authenticated;
+revoke execute on function pay_commission(bigint, bigint, numeric, numeric, text, text, integer) from public, anon, authenticated;
+revoke execute on function pay_contest_prize(bigint, bigint, numeric, integer, bigint) from public, anon, authenticated;
+revoke execute on function consume_rate_limit(text, integer, numeric) from public, anon, authenticated;
+
+grant execute on function apply_balance_change(bigint, numeric, text, text, text, bigint) to service_role;
+grant execute on function set_balance(bigint, numeric, text, bigint) to service_role;
+grant execute on function request_withdrawal(bigint, numeric, text) to service_role;
+grant execute on function transition_withdrawal(bigint, text, bigint, text, text) to service_role;
+grant execute on function pay_commission(bigint, bigint, numeric, numeric, text, text, integer) to service_role;
+grant execute on function pay_contest_prize(bigint, bigint, numeric, integer, bigint) to service_role;
+grant execute on function consume_rate_limit(text, integer, numeric) to service_role;
+
+-- Functions created by later migrations are not executable by the public roles unless granted
+alter default privileges in schema public revoke execute on functions from public, anon, authenticated;
+
+-- Tables: row level security without policies shuts out anon and authenticated;
+-- the service role bypasses it
+alter table users enable row level security;
+alter table admins enable row level security;
+alter table temp_actions enable row level security;
+alter table withdrawals enable row level security;
+alter table spin_results enable row level security;
+alter table spin_commitments enable row level security;
+alter table commission_history enable row level security;
+alter table tasks enable row level security;
+alter table task_completions enable row level security;
+alter table ledger enable row level security;
+alter table settings enable row level security;
+alter table ad_views enable row level security;
+alter table contests enable row level security;
+alter table contest_payouts enable row level security;
+alter table notifications enable row level security;
+alter table rate_limit_buckets enable row level security;
+alter table audit_log enable row level security;
+
+-- Views run with their owner's rights, so RLS does not cover them
+revoke all on admin_user_overview from anon, authenticated;
+revoke all on admin_liability from anon, authenticated;
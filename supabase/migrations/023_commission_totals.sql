@@ -0,0 +1,15 @@
+-- Commission sums computed by the database, so referrers with long histories are not cut off
+-- by PostgREST's row limit: per level, and per referee and level (getReferralStats, admin user details).
+
+create or replace view commission_level_totals as
+select referrer_id, level, sum(amount) as commission, count(*) as payouts
+from commission_history
+group by referrer_id, level;
+
+create or replace view commission_referee_totals as
+select referrer_id, referee_id, level, sum(amount) as commission, count(*) as payouts
+from commission_history
+group by referrer_id, referee_id, level;
+
+revoke all on commission_level_totals from anon, authenticated;
+revoke all on commission_referee_totals from anon, authenticated;
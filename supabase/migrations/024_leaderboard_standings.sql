@@ -0,0 +1,56 @@
+-- Leaderboard and contest standings ranked by the database (see lib/leaderboard.js), so a busy
+-- period is not cut off by PostgREST's row limit. One row: the top p_limit entries as
+-- [{ rank, user_id, score }], the number of ranked users and p_user_id's own rank and score.
+-- Ranking: score desc, then user id asc; banned users, zero scores and p_exclude are left out.
+
+create or replace function leaderboard_standings(
+    p_metric text,
+    p_starts_at timestamptz,
+    p_ends_at timestamptz,
+    p_limit integer,
+    p_exclude bigint[] default '{}',
+    p_user_id bigint default null
+) returns table (top jsonb, participants integer, user_rank integer, user_score numeric) as $$
+    with scores as (
+        select l.user_id, count(*)::numeric as score
+        from ledger l
+        where p_metric = 'ads'
+          and l.entry_type = 'ad_reward'
+          and l.created_at >= p_starts_at and l.created_at < p_ends_at
+        group by l.user_id
+        union all
+        select l.user_id, sum(l.amount)
+        from ledger l
+        where p_metric = 'earned'
+          and l.entry_type in ('ad_reward', 'spin_reward', 'task_reward', 'referral_commission', 'daily_bonus', 'contest_prize')
+          and l.created_at >= p_starts_at and l.created_at < p_ends_at
+        group by l.user_id
+        union all
+        select r.ref_by, count(*)::numeric
+        from users r
+        where p_metric = 'referrals'
+          and r.ref_by is not null
+          and r.referral_qualified_at >= p_starts_at and r.referral_qualified_at < p_ends_at
+        group by r.ref_by
+    ),
+    standings as (
+        select (row_number() over (order by s.score desc, s.user_id asc))::integer as rank, s.user_id, s.score
+        from scores s
+        join users u on u.id = s.user_id
+        where s.score > 0
+          and not u.is_banned
+          and not (s.user_id = any(coalesce(p_exclude, '{}')))
+    )
+    select
+        coalesce((
+            select jsonb_agg(jsonb_build_object('rank', st.rank, 'user_id', st.user_id, 'score', st.score) order by st.rank)
+            from standings st
+            where st.rank <= p_limit
+        ), '[]'::jsonb),
+        (select count(*)::integer from standings),
+        (select st.rank from standings st where st.user_id = p_user_id),
+        (select st.score from standings st where st.user_id = p_user_id);
+$$ language sql stable;
+
+revoke execute on function leaderboard_standings(text, timestamptz, timestamptz, integer, bigint[], bigint) from public, anon, authenticated;
+grant execute on function leaderboard_standings(text, timestamptz, timestamptz, integer, bigint[], bigint) to service_role;
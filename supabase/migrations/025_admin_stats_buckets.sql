@@ -0,0 +1,70 @@
+-- Admin dashboard numbers aggregated by the database (see lib/stats.js), so ranges with many
+-- ledger entries or spins are not cut off by PostgREST's row limit. Only the buckets come back,
+-- in one row; days and hours without activity are left out and filled in by the API.
+--
+--   active_daily - [{ date, dau, wau }] for each UTC day of the range; wau covers the 7 days ending that day
+--   active_total - users active at any time in the range
+--   hourly       - [{ hour, ads, spins }] per UTC hour: ad_reward entries and spin_results
+--   credited     - [{ date, entry_type, amount }] summed per UTC day and entry type
+--
+-- Activity counts p_activity_types entries; credited sums p_credit_types entries.
+
+create or replace function admin_stats(
+    p_starts_at timestamptz,
+    p_ends_at timestamptz,
+    p_activity_types text[],
+    p_credit_types text[]
+) returns table (active_daily jsonb, active_total integer, hourly jsonb, credited jsonb) as $$
+    with activity as (
+        select distinct l.user_id, (l.created_at at time zone 'utc')::date as day
+        from ledger l
+        where l.entry_type = any(p_activity_types)
+          and l.created_at >= p_starts_at - interval '6 days' and l.created_at < p_ends_at
+    ),
+    days as (
+        select d::date as day
+        from generate_series((p_starts_at at time zone 'utc')::date, (p_ends_at at time zone 'utc')::date - 1, interval '1 day') d
+    ),
+    hours as (
+        select h.hour, sum(h.ads)::integer as ads, sum(h.spins)::integer as spins
+        from (
+            select date_trunc('hour', l.created_at at time zone 'utc') as hour, count(*) as ads, 0 as spins
+            from ledger l
+            where l.entry_type = 'ad_reward' and l.created_at >= p_starts_at and l.created_at < p_ends_at
+            group by 1
+            union all
+            select date_trunc('hour', s.created_at at time zone 'utc'), 0, count(*)
+            from spin_results s
+            where s.created_at >= p_starts_at and s.created_at < p_ends_at
+            group by 1
+        ) h
+        group by h.hour
+    ),
+    credits as (
+        select (l.created_at at time zone 'utc')::date as day, l.entry_type, sum(l.amount) as amount
+        from ledger l
+        where l.entry_type = any(p_credit_types) and l.created_at >= p_starts_at and l.created_at < p_ends_at
+        group by 1, 2
+    )
+    select
+        coalesce((
+            select jsonb_agg(jsonb_build_object(
+                'date', to_char(d.day, 'YYYY-MM-DD'),
+                'dau', (select count(*) from activity a where a.day = d.day),
+                'wau', (select count(distinct a.user_id) from activity a where a.day > d.day - 7 and a.day <= d.day)
+            ) order by d.day)
+            from days d
+        ), '[]'::jsonb),
+        (select count(distinct a.user_id)::integer from activity a where a.day >= (p_starts_at at time zone 'utc')::date),
+        coalesce((
+            select jsonb_agg(jsonb_build_object('hour', to_char(h.hour, 'YYYY-MM-DD"T"HH24":00:00.000Z"'), 'ads', h.ads, 'spins', h.spins) order by h.hour)
+            from hours h
+        ), '[]'::jsonb),
+        coalesce((
+            select jsonb_agg(jsonb_build_object('date', to_char(c.day, 'YYYY-MM-DD'), 'entry_type', c.entry_type, 'amount', c.amount) order by c.day)
+            from credits c
+        ), '[]'::jsonb);
+$$ language sql stable;
+
+revoke execute on function admin_stats(timestamptz, timestamptz, text[], text[]) from public, anon, authenticated;
+grant execute on function admin_stats(timestamptz, timestamptz, text[], text[]) to service_role;
@@ -0,0 +1,57 @@
+-- Checks all of a request's buckets (user and IP) before taking a token from any of them, so a
+-- request refused by one bucket does not use up the others (see lib/rateLimit.js).
+-- Replaces consume_rate_limit, which took the token bucket by bucket.
+
+create or replace function consume_rate_limits(
+    p_keys text[],
+    p_capacities integer[],
+    p_refill_seconds numeric[]
+) returns table (allowed boolean, refused_key text, retry_after_ms integer) as $$
+declare
+    v_count integer := coalesce(array_length(p_keys, 1), 0);
+    v_tokens numeric[] := '{}';
+    v_current numeric;
+    v_updated_at timestamptz;
+    v_refused_key text := null;
+    v_retry_after_ms integer := 0;
+begin
+    insert into rate_limit_buckets (key, tokens, updated_at)
+    select k.key, k.capacity, now()
+    from unnest(p_keys, p_capacities) as k(key, capacity)
+    order by k.key
+    on conflict (key) do nothing;
+
+    -- Lock in key order so concurrent requests sharing buckets cannot deadlock
+    perform 1 from rate_limit_buckets b where b.key = any(p_keys) order by b.key for update;
+
+    for i in 1 .. v_count loop
+        select b.tokens, b.updated_at into v_current, v_updated_at
+        from rate_limit_buckets b
+        where b.key = p_keys[i];
+
+        v_current := least(p_capacities[i], v_current + extract(epoch from (now() - v_updated_at)) / p_refill_seconds[i]);
+        v_tokens := v_tokens || v_current;
+
+        if v_current < 1 and v_refused_key is null then
+            v_refused_key := p_keys[i];
+            v_retry_after_ms := ceil((1 - v_current) * p_refill_seconds[i] * 1000)::integer;
+        end if;
+    end loop;
+
+    -- Refused: no bucket changes (the refill is derived from updated_at on the next call)
+    if v_refused_key is not null then
+        return query select false, v_refused_key, v_retry_after_ms;
+        return;
+    end if;
+
+    for i in 1 .. v_count loop
+        update rate_limit_buckets set tokens = v_tokens[i] - 1, updated_at = now() where key = p_keys[i];
+    end loop;
+    return query select true, null::text, 0;
+end;
+$$ language plpgsql;
+
+revoke execute on function consume_rate_limits(text[], integer[], numeric[]) from public, anon, authenticated;
+grant execute on function consume_rate_limits(text[], integer[], numeric[]) to service_role;
+
+drop function if exists consume_rate_limit(text, integer, numeric);
@@ -0,0 +1,43 @@
+-- Contest payout claims the contest first (review -> paying, see lib/contests.js), so a cancel
+-- racing the payout either wins before any prize is paid or finds the contest no longer in review.
+-- pay_contest_prize only pays contests in 'paying', checked under a row lock in its transaction.
+
+alter table contests drop constraint if exists contests_status_check;
+alter table contests add constraint contests_status_check
+    check (status in ('active', 'review', 'paying', 'paid', 'cancelled'));
+
+create or replace function pay_contest_prize(
+    p_contest_id bigint,
+    p_user_id bigint,
+    p_amount numeric,
+    p_rank integer,
+    p_actor_id bigint default null
+) returns table (payout_id bigint, new_balance numeric) as $$
+declare
+    v_status text;
+    v_payout_id bigint;
+    v_balance numeric;
+begin
+    select c.status into v_status from contests c where c.id = p_contest_id for update;
+    if v_status is distinct from 'paying' then
+        raise exception 'Contest % is not being paid (status: %).', p_contest_id, coalesce(v_status, 'missing');
+    end if;
+
+    insert into contest_payouts (contest_id, user_id, rank, amount)
+    values (p_contest_id, p_user_id, p_rank, p_amount)
+    on conflict (contest_id, user_id) do nothing
+    returning id into v_payout_id;
+
+    if v_payout_id is null then
+        return;
+    end if;
+
+    select c.new_balance into v_balance
+    from apply_balance_change(p_user_id, p_amount, 'contest_prize', 'contest', p_contest_id::text, p_actor_id) c;
+
+    return query select v_payout_id, v_balance;
+end;
+$$ language plpgsql;
+
+revoke execute on function pay_contest_prize(bigint, bigint, numeric, integer, bigint) from public, anon, authenticated;
+grant execute on function pay_contest_prize(bigint, bigint, numeric, integer, bigint) to service_role;
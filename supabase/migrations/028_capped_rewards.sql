@@ -0,0 +1,52 @@
+-- Credits an ad or spin reward only while the user's counter is below the daily cap, in one
+-- transaction: the cap check, the counter increment and the ledger credit either all happen or
+-- none does. Concurrent requests can no longer pass the cap, and a failed credit leaves the
+-- counter as it was (see creditCappedReward in api/index.js).
+-- p_counter: 'ads' (ads_watched_today) or 'spins' (spins_today).
+
+create or replace function credit_capped_reward(
+    p_user_id bigint,
+    p_counter text,
+    p_max integer,
+    p_amount numeric,
+    p_entry_type text,
+    p_reference_type text default null,
+    p_reference_id text default null
+) returns table (allowed boolean, new_count integer, new_balance numeric) as $$
+declare
+    v_count integer;
+    v_balance numeric;
+begin
+    if p_counter not in ('ads', 'spins') then
+        raise exception 'Unknown counter: %.', p_counter;
+    end if;
+
+    update users u
+       set ads_watched_today = case when p_counter = 'ads' then u.ads_watched_today + 1 else u.ads_watched_today end,
+           spins_today = case when p_counter = 'spins' then u.spins_today + 1 else u.spins_today end,
+           ads_limit_reached_at = case when p_counter = 'ads' and u.ads_watched_today + 1 >= p_max then now() else u.ads_limit_reached_at end,
+           spins_limit_reached_at = case when p_counter = 'spins' and u.spins_today + 1 >= p_max then now() else u.spins_limit_reached_at end,
+           last_activity = now()
+     where u.id = p_user_id
+       and (case when p_counter = 'ads' then u.ads_watched_today else u.spins_today end) < p_max
+    returning (case when p_counter = 'ads' then u.ads_watched_today else u.spins_today end) into v_count;
+
+    if not found then
+        select (case when p_counter = 'ads' then u.ads_watched_today else u.spins_today end) into v_count
+        from users u where u.id = p_user_id;
+        if not found then
+            raise exception 'User not found.';
+        end if;
+        return query select false, v_count, null::numeric;
+        return;
+    end if;
+
+    select c.new_balance into v_balance
+    from apply_balance_change(p_user_id, p_amount, p_entry_type, p_reference_type, p_reference_id) c;
+
+    return query select true, v_count, v_balance;
+end;
+$$ language plpgsql;
+
+revoke execute on function credit_capped_reward(bigint, text, integer, numeric, text, text, text) from public, anon, authenticated;
+grant execute on function credit_capped_reward(bigint, text, integer, numeric, text, text, text) to service_role;
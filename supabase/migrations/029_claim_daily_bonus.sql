@@ -0,0 +1,36 @@
+-- Stores the new daily bonus streak and credits the reward in one transaction, so a failed
+-- credit does not leave the day marked as claimed. The streak is only stored if the last claim
+-- date is still the one the caller computed the streak from (p_previous_claim_date, null for a
+-- first claim); otherwise someone claimed in between and nothing changes (claimed = false).
+
+create or replace function claim_daily_bonus(
+    p_user_id bigint,
+    p_previous_claim_date date,
+    p_claim_date date,
+    p_streak integer,
+    p_amount numeric
+) returns table (claimed boolean, new_balance numeric) as $$
+declare
+    v_balance numeric;
+begin
+    update users
+       set daily_bonus_streak = p_streak,
+           daily_bonus_last_claim_date = p_claim_date,
+           last_activity = now()
+     where id = p_user_id
+       and daily_bonus_last_claim_date is not distinct from p_previous_claim_date;
+
+    if not found then
+        return query select false, null::numeric;
+        return;
+    end if;
+
+    select c.new_balance into v_balance
+    from apply_balance_change(p_user_id, p_amount, 'daily_bonus', 'daily_bonus', p_claim_date::text) c;
+
+    return query select true, v_balance;
+end;
+$$ language plpgsql;
+
+revoke execute on function claim_daily_bonus(bigint, date, date, integer, numeric) from public, anon, authenticated;
+grant execute on function claim_daily_bonus(bigint, date, date, integer, numeric) to service_role;
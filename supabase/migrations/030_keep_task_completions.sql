@@ -0,0 +1,7 @@
+-- A task's completions are what stop a user from claiming it twice, so a task that has any can no
+-- longer be deleted (deleteTask answers 409: pause it instead). Previously ON DELETE CASCADE removed
+-- them, and re-creating the task let everyone claim it again.
+
+alter table task_completions drop constraint if exists task_completions_task_id_fkey;
+alter table task_completions add constraint task_completions_task_id_fkey
+    foreign key (task_id) references tasks(id) on delete restrict;
@@ -0,0 +1,105 @@
+// /test/adCallbacks.test.js
+
+process.env.AD_NETWORKS = JSON.stringify({
+    fake: { secret: 'fake-secret', verify: 'hmac' },
+    tokened: { secret: 'static-token', verify: 'token' }
+});
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { storage, resetStorage, request, call, act } = require('./helpers');
+const { signCallback } = require('../lib/adNetworks');
+
+test.beforeEach(() => resetStorage({ users: [{ id: 10 }, { id: 11 }] }));
+
+async function startView(userId, network = 'fake') {
+    const started = await call(userId, { type: 'startAdView', network });
+    assert.equal(started.status, 200);
+    return started.body.data.view_id;
+}
+
+function postback(params, network = 'fake') {
+    return request({ method: 'GET', url: `/api?${new URLSearchParams({ ad_callback: network, ...params })}` });
+}
+
+function signedPostback(viewId, userId) {
+    return postback({ view_id: viewId, user_id: userId, signature: signCallback('fake-secret', viewId, userId) });
+}
+
+async function adRewards(userId) {
+    return storage.count('ledger', { where: { user_id: userId, entry_type: 'ad_reward' } });
+}
+
+test('with callback networks configured, ads can only be credited by the postback', async () => {
+    const watched = await act(10, 'watchAd');
+    assert.equal(watched.status, 403);
+    assert.match(watched.body.error, /startAdView/);
+});
+
+test('a signed postback credits the view once, and retries are answered with success', async () => {
+    const viewId = await startView(10);
+
+    const credited = await signedPostback(viewId, 10);
+    assert.equal(credited.status, 200);
+    assert.equal(credited.body.data.reward, 3);
+
+    const retried = await signedPostback(viewId, 10);
+    assert.equal(retried.status, 200);
+    assert.match(retried.body.data.message, /already credited/);
+
+    assert.equal(await adRewards(10), 1);
+    const [view] = await storage.select('ad_views', { where: { view_id: viewId } });
+    assert.equal(view.status, 'completed');
+    assert.equal(view.reward, 3);
+});
+
+test('postbacks with a wrong signature or for another user credit nothing', async () => {
+    const viewId = await startView(10);
+
+    assert.equal((await postback({ view_id: viewId, user_id: 10, signature: 'bad' })).status, 403);
+    assert.equal((await postback({ view_id: viewId, user_id: 10, signature: signCallback('other-secret', viewId, 10) })).status, 403);
+    const otherUser = await signedPostback(viewId, 11);
+    assert.equal(otherUser.status, 403);
+    assert.match(otherUser.body.error, /another user/);
+
+    assert.equal(await adRewards(10), 0);
+});
+
+test('token networks are checked against the shared secret, also when posted', async () => {
+    const viewId = await startView(10, 'tokened');
+
+    const forged = await request({ url: '/api?ad_callback=tokened', body: `view_id=${viewId}&token=guess` });
+    assert.equal(forged.status, 403);
+    const credited = await request({ url: '/api?ad_callback=tokened', body: `view_id=${viewId}&token=static-token` });
+    assert.equal(credited.status, 200);
+    assert.equal(await adRewards(10), 1);
+});
+
+test('a view whose crediting failed is released for the next retry and counted once', async () => {
+    const viewId = await startView(10);
+    await storage.update('users', { id: 10 }, { ads_watched_today: 100 }); // default daily_max_ads
+
+    const refused = await signedPostback(viewId, 10);
+    assert.equal(refused.status, 403);
+    let [view] = await storage.select('ad_views', { where: { view_id: viewId } });
+    assert.equal(view.status, 'pending');
+    assert.match(view.rejection_reason, /Daily ad limit/);
+
+    await storage.update('users', { id: 10 }, { ads_watched_today: 0 });
+    assert.equal((await signedPostback(viewId, 10)).status, 200);
+
+    [view] = await storage.select('ad_views', { where: { view_id: viewId } });
+    assert.equal(view.status, 'completed');
+    assert.equal(view.rejection_reason, null);
+    const [user] = await storage.select('users', { where: { id: 10 } });
+    assert.equal(user.ads_watched_today, 1);
+    assert.equal(await adRewards(10), 1);
+});
+
+test('an expired view is not credited', async () => {
+    const viewId = await startView(10);
+    await storage.update('ad_views', { view_id: viewId }, { expires_at: new Date(Date.now() - 1000).toISOString() });
+
+    assert.equal((await signedPostback(viewId, 10)).status, 410);
+    assert.equal(await adRewards(10), 0);
+});
@@ -0,0 +1,97 @@
+// /test/admin.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { OWNER_ID, storage, telegramCalls, resetStorage, call, act } = require('./helpers');
+
+const VIEWER_ID = 2;
+
+test.beforeEach(() => resetStorage({
+    users: [{ id: OWNER_ID }, { id: VIEWER_ID }, { id: 10, balance: 1000 }],
+    admins: [{ user_id: VIEWER_ID, role: 'viewer' }]
+}));
+
+async function requestWithdrawal(userId, amount = 500) {
+    const withdrawal = await act(userId, 'withdraw', { amount, binanceId: '12345678' });
+    assert.equal(withdrawal.status, 200);
+    return withdrawal.body.data.withdrawal_id;
+}
+
+test('admin routes need an admin role with the route permission', async () => {
+    assert.equal((await call(10, { type: 'getPendingWithdrawals' })).status, 403);
+    assert.equal((await call(VIEWER_ID, { type: 'getPendingWithdrawals' })).status, 200);
+
+    const update = await act(VIEWER_ID, 'updateBalance', { target_user_id: 10, new_balance: 5 });
+    assert.equal(update.status, 403);
+    assert.match(update.body.error, /viewer/);
+});
+
+test('getPendingWithdrawals lists pending and approved requests', async () => {
+    const first = await requestWithdrawal(10);
+    await requestWithdrawal(10);
+    assert.equal((await act(OWNER_ID, 'adminAction', { action: 'accept', request_id: first })).status, 200);
+
+    const list = await call(OWNER_ID, { type: 'getPendingWithdrawals' });
+    assert.equal(list.status, 200);
+    assert.equal(list.body.data.pending_withdrawals.length, 1);
+    assert.deepEqual(list.body.data.approved_withdrawals.map(w => w.id), [first]);
+});
+
+test('adminAction moves a withdrawal pending -> approved -> paid and refuses other transitions', async () => {
+    const id = await requestWithdrawal(10);
+
+    assert.equal((await act(OWNER_ID, 'adminAction', { action: 'accept', request_id: id })).status, 200);
+    assert.equal((await act(OWNER_ID, 'adminAction', { action: 'accept', request_id: id })).status, 409);
+    const paid = await act(OWNER_ID, 'adminAction', { action: 'pay', request_id: id, payout_reference: 'TX1' });
+    assert.equal(paid.status, 200);
+
+    const [withdrawal] = await storage.select('withdrawals', { where: { id } });
+    assert.equal(withdrawal.status, 'paid');
+    assert.equal(withdrawal.payout_reference, 'TX1');
+});
+
+test('rejecting a withdrawal refunds it and notifies the user', async () => {
+    const id = await requestWithdrawal(10);
+
+    const rejected = await act(OWNER_ID, 'adminAction', { action: 'reject', request_id: id, reason: 'Wrong ID' });
+    assert.equal(rejected.status, 200);
+
+    const [user] = await storage.select('users', { where: { id: 10 } });
+    assert.equal(user.balance, 1000);
+    const ledger = await storage.select('ledger', { where: { user_id: 10 }, order: { column: 'id' } });
+    assert.deepEqual(ledger.map(entry => [entry.entry_type, entry.amount]), [['withdrawal', -500], ['withdrawal_refund', 500]]);
+    assert.ok(telegramCalls.some(request => request.url.endsWith('/sendMessage') && request.body.chat_id === 10));
+});
+
+test('updateBalance sets the balance through the ledger and audits it', async () => {
+    const update = await act(OWNER_ID, 'updateBalance', { target_user_id: 10, new_balance: 250 });
+    assert.equal(update.status, 200);
+    assert.equal(update.body.data.old_balance, 1000);
+
+    const [user] = await storage.select('users', { where: { id: 10 } });
+    assert.equal(user.balance, 250);
+    const [entry] = await storage.select('ledger', { where: { user_id: 10 } });
+    assert.equal(entry.amount, -750);
+    assert.equal(await storage.count('audit_log', { where: { actor_id: OWNER_ID } }), 1);
+
+    assert.equal((await act(OWNER_ID, 'updateBalance', { target_user_id: 10, new_balance: -1 })).status, 400);
+});
+
+test('toggleBan locks the user out of rewards until unbanned', async () => {
+    assert.equal((await act(OWNER_ID, 'toggleBan', { target_user_id: 10, action: 'ban' })).status, 200);
+    assert.equal((await act(10, 'watchAd')).status, 403);
+
+    assert.equal((await act(OWNER_ID, 'toggleBan', { target_user_id: 10, action: 'unban' })).status, 200);
+    assert.equal((await act(10, 'watchAd')).status, 200);
+});
+
+test('updateSettings validates and stores the changed settings', async () => {
+    const invalid = await act(OWNER_ID, 'updateSettings', { settings: { task_reward: -1 } });
+    assert.equal(invalid.status, 400);
+
+    const updated = await act(OWNER_ID, 'updateSettings', { settings: { task_reward: 75 } });
+    assert.equal(updated.status, 200);
+
+    const settings = await call(OWNER_ID, { type: 'getSettings' });
+    assert.equal(settings.body.data.settings.task_reward, 75);
+});
@@ -0,0 +1,68 @@
+// /test/botWebhook.test.js
+
+process.env.TELEGRAM_WEBHOOK_SECRET = 'webhook-secret';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { storage, telegramCalls, resetStorage, request } = require('./helpers');
+
+test.beforeEach(() => resetStorage({ users: [{ id: 10, balance: 1500 }] }));
+
+function update(userId, text, { secret = 'webhook-secret', chatType = 'private' } = {}) {
+    return request({
+        url: '/api?bot_webhook=1',
+        headers: secret ? { 'x-telegram-bot-api-secret-token': secret } : {},
+        body: { update_id: 1, message: { text, from: { id: userId, first_name: 'Sam', language_code: 'en' }, chat: { id: userId, type: chatType } } }
+    });
+}
+
+const sentTexts = () => telegramCalls.filter(call => call.url.endsWith('/sendMessage')).map(call => call.body.text);
+
+test('updates without the webhook secret are refused', async () => {
+    assert.equal((await update(20, '/start', { secret: null })).status, 401);
+    assert.equal((await update(20, '/start', { secret: 'wrong-secret' })).status, 401);
+
+    assert.equal(await storage.count('users', { where: { id: 20 } }), 0);
+    assert.deepEqual(sentTexts(), []);
+});
+
+test('/start ref_<id> registers the user with that referrer', async () => {
+    assert.equal((await update(20, '/start ref_10')).status, 200);
+
+    const [user] = await storage.select('users', { where: { id: 20 } });
+    assert.equal(user.ref_by, 10);
+    assert.equal(user.start_param, 'ref_10');
+    assert.equal(user.first_name, 'Sam');
+    assert.match(sentTexts()[0], /Welcome! .*\n.*invite/);
+});
+
+test('/start with an unknown or own referral code registers without a referrer', async () => {
+    await update(20, '/start ref_999');
+    await update(21, '/start ref_21');
+
+    const users = await storage.select('users', { where: { id: [20, 21] }, order: { column: 'id' } });
+    assert.deepEqual(users.map(user => user.ref_by), [null, null]);
+});
+
+test('/start for a registered user keeps their referrer and welcomes them back', async () => {
+    await update(20, '/start');
+    await update(20, '/start ref_10');
+
+    const [user] = await storage.select('users', { where: { id: 20 } });
+    assert.equal(user.ref_by, null);
+    assert.match(sentTexts()[1], /Welcome back/);
+});
+
+test('/balance answers with the balance and clears bot_blocked_at', async () => {
+    await storage.update('users', { id: 10 }, { bot_blocked_at: new Date().toISOString() });
+
+    assert.equal((await update(10, '/balance')).status, 200);
+    assert.match(sentTexts()[0], /1,500 SHIB/);
+    const [user] = await storage.select('users', { where: { id: 10 } });
+    assert.equal(user.bot_blocked_at, null);
+});
+
+test('messages outside private chats are ignored', async () => {
+    assert.equal((await update(20, '/start ref_10', { chatType: 'group' })).status, 200);
+    assert.equal(await storage.count('users', { where: { id: 20 } }), 0);
+});
@@ -0,0 +1,94 @@
+// /test/contests.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { OWNER_ID, storage, resetStorage, call, act } = require('./helpers');
+const { payContest } = require('../lib/contests');
+
+const ago = ms => new Date(Date.now() - ms).toISOString();
+
+// 10 > 11 > 12 by SHIB earned a minute ago
+test.beforeEach(() => resetStorage({
+    users: [{ id: OWNER_ID }, { id: 10, balance: 30 }, { id: 11, balance: 20 }, { id: 12, balance: 10 }],
+    ledger: [[10, 30], [11, 20], [12, 10]].map(([userId, amount]) => (
+        { user_id: userId, entry_type: 'ad_reward', amount, balance_after: amount, created_at: ago(60 * 1000) }
+    ))
+}));
+
+/**
+ * Creates a weekly 'earned' contest covering the last hour and ends it, so the next getContests closes it.
+ */
+async function endedContest() {
+    const created = await act(OWNER_ID, 'createContest', { name: 'Weekly', metric: 'earned', period: 'weekly', prize_pool: 100, prize_shares: [0.6, 0.4] });
+    assert.equal(created.status, 200);
+    const { id } = created.body.data.contest;
+
+    await storage.update('contests', { id }, { starts_at: ago(60 * 60 * 1000), ends_at: ago(1000) });
+    return id;
+}
+
+async function loadContest(id) {
+    const listed = await call(OWNER_ID, { type: 'getContests' });
+    assert.equal(listed.status, 200);
+    return listed.body.data.contests.find(contest => contest.id === id);
+}
+
+async function balances() {
+    const users = await storage.select('users', { where: { id: [10, 11, 12] }, order: { column: 'id' } });
+    return users.map(user => Number(user.balance));
+}
+
+test('an ended contest goes to review with frozen results, and pay credits the winners once', async () => {
+    const id = await endedContest();
+
+    const reviewed = await loadContest(id);
+    assert.equal(reviewed.status, 'review');
+    assert.deepEqual(reviewed.results.map(entry => [entry.user_id, entry.prize]), [[10, 60], [11, 40]]);
+
+    const paid = await act(OWNER_ID, 'contestAction', { contest_id: id, action: 'pay' });
+    assert.equal(paid.status, 200);
+    assert.equal(paid.body.data.paid.length, 2);
+    assert.deepEqual(await balances(), [90, 60, 10]);
+    assert.equal((await loadContest(id)).status, 'paid');
+
+    assert.equal((await act(OWNER_ID, 'contestAction', { contest_id: id, action: 'pay' })).status, 409);
+    assert.equal(await storage.count('contest_payouts'), 2);
+});
+
+test('disqualifying a winner recomputes the results', async () => {
+    const id = await endedContest();
+    await loadContest(id);
+
+    const disqualified = await act(OWNER_ID, 'contestAction', { contest_id: id, action: 'disqualify', target_user_id: 10 });
+    assert.equal(disqualified.status, 200);
+    assert.deepEqual(disqualified.body.data.contest.results.map(entry => [entry.user_id, entry.prize]), [[11, 60], [12, 40]]);
+});
+
+test('a cancelled contest pays nothing', async () => {
+    const id = await endedContest();
+    const contest = await loadContest(id);
+
+    assert.equal((await act(OWNER_ID, 'contestAction', { contest_id: id, action: 'cancel' })).status, 200);
+    assert.equal(await payContest(contest), null);
+    assert.equal((await act(OWNER_ID, 'contestAction', { contest_id: id, action: 'pay' })).status, 409);
+
+    assert.deepEqual(await balances(), [30, 20, 10]);
+    assert.equal(await storage.count('contest_payouts'), 0);
+});
+
+test('a contest claimed for payout can no longer be cancelled, and an interrupted payout resumes', async () => {
+    const id = await endedContest();
+    const contest = await loadContest(id);
+    await storage.update('contests', { id }, { status: 'paying' }); // claimed, then stopped before any prize
+
+    const cancelled = await act(OWNER_ID, 'contestAction', { contest_id: id, action: 'cancel' });
+    assert.equal(cancelled.status, 409);
+
+    await assert.rejects(storage.rpc('pay_contest_prize', { p_contest_id: id + 1, p_user_id: 10, p_amount: 1, p_rank: 1 }), /not being paid/);
+    await storage.rpc('pay_contest_prize', { p_contest_id: id, p_user_id: 10, p_amount: 60, p_rank: 1 });
+
+    const resumed = await payContest({ ...contest, status: 'paying' });
+    assert.deepEqual(resumed.map(entry => entry.user_id), [11]);
+    assert.deepEqual(await balances(), [90, 60, 10]);
+    assert.equal((await loadContest(id)).status, 'paid');
+});
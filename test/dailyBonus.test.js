@@ -0,0 +1,72 @@
+// /test/dailyBonus.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { storage, resetStorage, act } = require('./helpers');
+
+// Default daily_bonus_rewards: [10, 15, 20, 25, 30, 40, 60]
+const DAY_MS = 24 * 60 * 60 * 1000;
+const daysAgo = days => new Date(Date.now() - days * DAY_MS).toISOString().slice(0, 10);
+
+function seedUser(streak, lastClaimDaysAgo) {
+    resetStorage({
+        users: [{ id: 10, daily_bonus_streak: streak, daily_bonus_last_claim_date: lastClaimDaysAgo === null ? null : daysAgo(lastClaimDaysAgo) }]
+    });
+}
+
+async function claim() {
+    return act(10, 'claimDailyBonus');
+}
+
+test('the first claim starts the streak at day 1, once per day', async () => {
+    seedUser(0, null);
+
+    const claimed = await claim();
+    assert.equal(claimed.status, 200);
+    assert.equal(claimed.body.data.reward, 10);
+    assert.equal(claimed.body.data.daily_bonus.streak, 1);
+    assert.equal(claimed.body.data.daily_bonus.claimed_today, true);
+
+    assert.equal((await claim()).status, 409);
+    const ledger = await storage.select('ledger', { where: { user_id: 10 } });
+    assert.deepEqual(ledger.map(entry => [entry.entry_type, entry.amount, entry.reference_id]), [['daily_bonus', 10, daysAgo(0)]]);
+});
+
+test('claiming the day after grows the streak', async () => {
+    seedUser(3, 1);
+
+    const claimed = await claim();
+    assert.equal(claimed.body.data.reward, 25);
+    assert.equal(claimed.body.data.daily_bonus.streak, 4);
+});
+
+test('missing a day restarts the streak at day 1', async () => {
+    seedUser(5, 2);
+
+    const claimed = await claim();
+    assert.equal(claimed.body.data.reward, 10);
+    assert.equal(claimed.body.data.daily_bonus.streak, 1);
+});
+
+test('after the last day the streak keeps paying the last reward', async () => {
+    seedUser(9, 1);
+
+    const claimed = await claim();
+    assert.equal(claimed.body.data.reward, 60);
+    assert.equal(claimed.body.data.daily_bonus.streak, 10);
+});
+
+test('the streak is only stored together with the credit', async () => {
+    seedUser(3, 1);
+    const claimBonus = (previous, amount) => storage.rpc('claim_daily_bonus', {
+        p_user_id: 10, p_previous_claim_date: previous, p_claim_date: daysAgo(0), p_streak: 4, p_amount: amount
+    });
+
+    await assert.rejects(claimBonus(daysAgo(1), -1), /Insufficient balance/);
+    assert.deepEqual(await claimBonus(daysAgo(2), 25), { claimed: false, new_balance: null });
+
+    const [user] = await storage.select('users', { where: { id: 10 } });
+    assert.equal(user.daily_bonus_streak, 3);
+    assert.equal(user.daily_bonus_last_claim_date, daysAgo(1));
+    assert.equal(await storage.count('ledger'), 0);
+});
@@ -0,0 +1,72 @@
+// /test/dailyLimits.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { storage, resetStorage } = require('./helpers');
+const { refreshDailyLimits } = require('../lib/dailyLimits');
+
+const HOUR_MS = 60 * 60 * 1000;
+const NOW = Date.UTC(2026, 9, 19, 12, 0, 0); // 15:00 in Asia/Riyadh (UTC+3)
+const at = time => new Date(time).toISOString();
+
+const settingsFor = policy => ({
+    limit_reset_policy: policy,
+    daily_max_ads: 3,
+    daily_max_spins: 2,
+    reset_interval_hours: 6,
+    limit_reset_timezone: 'Asia/Riyadh'
+});
+
+function seedAds(user, adTimes, spinTimes = []) {
+    resetStorage({
+        users: [{ id: 10, ...user }],
+        ledger: adTimes.map(time => ({ user_id: 10, entry_type: 'ad_reward', amount: 3, balance_after: 0, created_at: at(time) })),
+        spin_results: spinTimes.map(time => ({ user_id: 10, prize: 1, created_at: at(time) }))
+    });
+}
+
+async function storedUser() {
+    const [user] = await storage.select('users', { where: { id: 10 } });
+    return user;
+}
+
+test('cooldown resets a capped counter once the interval has passed since the cap was hit', async () => {
+    seedAds({ ads_watched_today: 3, ads_limit_reached_at: at(NOW - HOUR_MS), spins_today: 2, spins_limit_reached_at: at(NOW - 7 * HOUR_MS) }, []);
+
+    const limits = await refreshDailyLimits(10, settingsFor('cooldown'), NOW);
+    assert.deepEqual(limits.ads, { count: 3, next_reset_at: at(NOW + 5 * HOUR_MS) });
+    assert.deepEqual(limits.spins, { count: 0, next_reset_at: null });
+
+    const user = await storedUser();
+    assert.equal(user.spins_today, 0);
+    assert.equal(user.spins_limit_reached_at, null);
+    assert.equal(user.ads_watched_today, 3);
+});
+
+test('rolling_24h counts the last 24 hours and frees a slot 24 hours after the oldest action', async () => {
+    const adTimes = [NOW - 25 * HOUR_MS, NOW - 25 * HOUR_MS, NOW - 20 * HOUR_MS, NOW - 2 * HOUR_MS, NOW - HOUR_MS];
+    seedAds({ ads_watched_today: 0 }, adTimes, [NOW - 3 * HOUR_MS]);
+
+    const limits = await refreshDailyLimits(10, settingsFor('rolling_24h'), NOW);
+    assert.deepEqual(limits.ads, { count: 3, next_reset_at: at(NOW + 4 * HOUR_MS) });
+    assert.deepEqual(limits.spins, { count: 1, next_reset_at: at(NOW + 21 * HOUR_MS) });
+
+    const user = await storedUser();
+    assert.equal(user.ads_watched_today, 3);
+    assert.equal(user.ads_limit_reached_at, at(NOW - HOUR_MS)); // the third action in the window
+    assert.equal(user.spins_today, 1);
+});
+
+test('calendar_day counts the actions since local midnight in the configured timezone', async () => {
+    const localMidnight = Date.UTC(2026, 9, 18, 21, 0, 0);
+    seedAds({ ads_watched_today: 5, ads_limit_reached_at: at(localMidnight - HOUR_MS) },
+        [localMidnight - 30 * 60 * 1000, localMidnight + 30 * 60 * 1000, NOW - HOUR_MS]);
+
+    const limits = await refreshDailyLimits(10, settingsFor('calendar_day'), NOW);
+    assert.deepEqual(limits.ads, { count: 2, next_reset_at: at(localMidnight + 24 * HOUR_MS) });
+    assert.deepEqual(limits.spins, { count: 0, next_reset_at: at(localMidnight + 24 * HOUR_MS) });
+
+    const user = await storedUser();
+    assert.equal(user.ads_watched_today, 2);
+    assert.equal(user.ads_limit_reached_at, null);
+});
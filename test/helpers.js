@@ -0,0 +1,101 @@
+// /test/helpers.js
+
+/**
+ * Runs the API handler in-process against a seeded memory adapter.
+ * Requests carry initData signed with the test BOT_TOKEN; Telegram calls go to a stubbed fetch.
+ */
+process.env.STORAGE_BACKEND = 'memory';
+process.env.BOT_TOKEN = '123456:test-bot-token';
+process.env.ADMIN_USER_IDS = '1';
+
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const storage = require('../lib/storage');
+const { createMemoryStorage } = require('../lib/storage/memory');
+const handler = require('../api/index.js');
+
+const OWNER_ID = 1;
+
+// No rate limits, so tests can repeat actions back to back
+const DEFAULT_SEED = {
+    settings: [{ key: 'rate_limits', value: {} }],
+};
+
+const telegramCalls = [];
+global.fetch = async (url, options = {}) => {
+    telegramCalls.push({ url: String(url), body: options.body ? JSON.parse(options.body) : null });
+    return { ok: true, status: 200, json: async () => ({ ok: true, result: { status: 'member' } }) };
+};
+
+/**
+ * Replaces the storage with a fresh memory adapter holding DEFAULT_SEED plus `seed` ({ table: rows });
+ * seeded settings replace the default row with the same key.
+ * Settings are cached per process (lib/settings.js): a test file that seeds settings must seed the
+ * same ones in every test.
+ */
+function resetStorage(seed = {}) {
+    const tables = { ...DEFAULT_SEED };
+    Object.entries(seed).forEach(([table, rows]) => {
+        const kept = table === 'settings'
+            ? (tables.settings || []).filter(row => !rows.some(seeded => seeded.key === row.key))
+            : (tables[table] || []);
+        tables[table] = [...kept, ...rows];
+    });
+    telegramCalls.length = 0;
+    return storage.useStorage(createMemoryStorage({ seed: tables }));
+}
+
+function signInitData(userId) {
+    const params = new URLSearchParams({
+        auth_date: String(Math.floor(Date.now() / 1000)),
+        user: JSON.stringify({ id: userId, first_name: `User ${userId}`, username: `user${userId}`, language_code: 'en' })
+    });
+    const dataCheckString = Array.from(params.entries()).map(([key, value]) => `${key}=${value}`).sort().join('\n');
+    const secret = crypto.createHmac('sha256', 'WebAppData').update(process.env.BOT_TOKEN).digest();
+    params.set('hash', crypto.createHmac('sha256', secret).update(dataCheckString).digest('hex'));
+    return params.toString();
+}
+
+/**
+ * Sends a raw request to the handler (`body`: a string, or an object sent as JSON) and resolves
+ * with { status, body } once the handler has finished, including the work it does after the
+ * response (e.g. sending queued notifications).
+ */
+function request({ method = 'POST', url = '/api', headers = {}, body = '' } = {}) {
+    const req = Readable.from([typeof body === 'string' ? body : JSON.stringify(body)]);
+    req.method = method;
+    req.url = url;
+    req.headers = headers;
+    req.socket = { remoteAddress: '127.0.0.1' };
+
+    let response = null;
+    const res = {
+        statusCode: 200,
+        headers: {},
+        setHeader(name, value) { this.headers[name.toLowerCase()] = value; },
+        writeHead(statusCode, headers = {}) { this.statusCode = statusCode; Object.assign(this.headers, headers); },
+        end(data) { response = { status: this.statusCode, body: data ? JSON.parse(data) : null }; }
+    };
+    return handler(req, res).then(() => response);
+}
+
+/**
+ * POSTs `body` as `userId` (with signed initData), like request().
+ */
+function call(userId, body) {
+    return request({ body: { initData: signInitData(userId), ...body } });
+}
+
+/**
+ * Calls a route that needs an action id: generates one for `type` first.
+ */
+async function act(userId, type, body = {}) {
+    const generated = await call(userId, { type: 'generateActionId', action_type: type });
+    return call(userId, { type, action_id: generated.body.data.action_id, ...body });
+}
+
+async function register(userId, body = {}) {
+    return call(userId, { type: 'register', ...body });
+}
+
+module.exports = { OWNER_ID, storage, telegramCalls, resetStorage, request, call, act, register };
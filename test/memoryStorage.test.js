@@ -0,0 +1,73 @@
+// /test/memoryStorage.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMemoryStorage } = require('../lib/storage/memory');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'shib-ads-storage-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('a failing procedure leaves every table and sequence as it was', async () => {
+    const storage = createMemoryStorage({ seed: { users: [{ id: 1, balance: 10 }] } });
+
+    await assert.rejects(
+        storage.rpc('request_withdrawal', { p_user_id: 1, p_amount: 50, p_binance_id: '12345678' }),
+        /Insufficient balance/
+    );
+    assert.equal(await storage.count('withdrawals'), 0);
+    assert.equal(await storage.count('ledger'), 0);
+
+    const [inserted] = await storage.insert('withdrawals', { user_id: 1, amount: 5, binance_id: '12345678' }, { columns: ['id'] });
+    assert.equal(inserted.id, 1);
+});
+
+test('writes are logged and replayed on the next start', async () => {
+    const file = path.join(dir, 'replay.json');
+    const storage = createMemoryStorage({ file, seed: { users: [{ id: 1, balance: 10 }, { id: 2, balance: 0 }] } });
+
+    await storage.rpc('apply_balance_change', { p_user_id: 1, p_amount: 5, p_entry_type: 'ad_reward' });
+    await storage.update('users', { id: 2 }, { username: 'bob' });
+    await storage.insert('tasks', [{ name: 'a', reward: 1 }, { name: 'b', reward: 2 }]);
+    await storage.remove('tasks', { name: 'a' });
+    assert.equal(fs.readFileSync(`${file}.log`, 'utf8').trim().split('\n').length, 4);
+
+    const reloaded = createMemoryStorage({ file });
+    assert.deepEqual(await reloaded.select('users', { columns: ['id', 'balance', 'username'], order: { column: 'id' } }),
+        [{ id: 1, balance: 15, username: null }, { id: 2, balance: 0, username: 'bob' }]);
+    assert.deepEqual((await reloaded.select('tasks', { columns: ['name'] })).map(task => task.name), ['b']);
+    assert.equal(await reloaded.count('ledger'), 1);
+
+    const [task] = await reloaded.insert('tasks', { name: 'c', reward: 3 }, { columns: ['id'] });
+    assert.equal(task.id, 3);
+});
+
+test('a write cut off by a crash is dropped and the rest is kept', async () => {
+    const file = path.join(dir, 'crash.json');
+    const storage = createMemoryStorage({ file, seed: { users: [{ id: 1, balance: 10 }] } });
+    await storage.update('users', { id: 1 }, { balance: 20 });
+    fs.appendFileSync(`${file}.log`, '{"changes":{"users"');
+
+    const reloaded = createMemoryStorage({ file });
+    const [user] = await reloaded.select('users', { where: { id: 1 } });
+    assert.equal(user.balance, 20);
+    assert.equal(fs.existsSync(`${file}.log`), false);
+});
+
+test('credit_capped_reward counts and credits up to the cap and changes nothing when the credit fails', async () => {
+    const storage = createMemoryStorage({ seed: { users: [{ id: 1, balance: 0, ads_watched_today: 1 }] } });
+    const credit = amount => storage.rpc('credit_capped_reward', { p_user_id: 1, p_counter: 'ads', p_max: 2, p_amount: amount, p_entry_type: 'ad_reward' });
+
+    await assert.rejects(credit(-5), /Insufficient balance/);
+    let [user] = await storage.select('users', { where: { id: 1 } });
+    assert.equal(user.ads_watched_today, 1);
+
+    assert.deepEqual(await credit(5), { allowed: true, new_count: 2, new_balance: 5 });
+    assert.deepEqual(await credit(5), { allowed: false, new_count: 2, new_balance: null });
+    [user] = await storage.select('users', { where: { id: 1 } });
+    assert.equal(user.balance, 5);
+    assert.ok(user.ads_limit_reached_at);
+    assert.equal(await storage.count('ledger'), 1);
+});
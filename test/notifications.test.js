@@ -0,0 +1,35 @@
+// /test/notifications.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { storage, telegramCalls, resetStorage } = require('./helpers');
+const { notify, processNotificationQueue, renderNotification } = require('../lib/notifications');
+
+test.beforeEach(() => resetStorage({ users: [{ id: 10, language_code: 'ar' }, { id: 11, bot_blocked_at: new Date().toISOString() }] }));
+
+test('notify only queues the message; the queue run sends it', async () => {
+    assert.equal(await notify(10, 'account_banned'), 'pending');
+    assert.equal(telegramCalls.length, 0);
+
+    await processNotificationQueue();
+    assert.equal(telegramCalls.length, 1);
+    assert.equal(telegramCalls[0].body.chat_id, 10);
+    assert.equal(telegramCalls[0].body.text, renderNotification('account_banned', {}, 'ar'));
+
+    const [notification] = await storage.select('notifications', { where: { user_id: 10 } });
+    assert.equal(notification.status, 'sent');
+});
+
+test('users who blocked the bot are skipped', async () => {
+    await notify(11, 'account_unbanned');
+    await processNotificationQueue();
+
+    assert.equal(telegramCalls.length, 0);
+    const [notification] = await storage.select('notifications', { where: { user_id: 11 } });
+    assert.equal(notification.status, 'skipped');
+});
+
+test('unknown templates are not queued', async () => {
+    assert.equal(await notify(10, 'no_such_template'), null);
+    assert.equal(await storage.count('notifications'), 0);
+});
@@ -0,0 +1,68 @@
+// /test/rateLimit.test.js
+
+process.env.TRUSTED_PROXY_HOPS = '1';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { storage, resetStorage, act } = require('./helpers');
+const { getClientIp, consumeRateLimit } = require('../lib/rateLimit');
+
+const LIMITS = { watchAd: { user: { capacity: 2, refill_seconds: 60 }, ip: { capacity: 3, refill_seconds: 60 } } };
+
+// Settings are cached per process, so every test in this file runs with the same LIMITS
+test.beforeEach(() => resetStorage({
+    settings: [{ key: 'rate_limits', value: LIMITS }],
+    users: [{ id: 10 }, { id: 11 }]
+}));
+
+test('the client IP is the entry added by the trusted proxy, not one the client sent', () => {
+    const req = { headers: { 'x-forwarded-for': '6.6.6.6, 1.2.3.4' }, socket: { remoteAddress: '10.0.0.1' } };
+    assert.equal(getClientIp(req), '1.2.3.4');
+    assert.equal(getClientIp({ headers: {}, socket: { remoteAddress: '10.0.0.1' } }), '10.0.0.1');
+});
+
+test('a bucket allows its capacity as a burst, then refuses with the time until the next token', async () => {
+    assert.equal((await consumeRateLimit(LIMITS, 'watchAd', { userId: 10, ip: '1.2.3.4' })).ok, true);
+    assert.equal((await consumeRateLimit(LIMITS, 'watchAd', { userId: 10, ip: '1.2.3.4' })).ok, true);
+
+    const refused = await consumeRateLimit(LIMITS, 'watchAd', { userId: 10, ip: '1.2.3.4' });
+    assert.equal(refused.ok, false);
+    assert.equal(refused.scope, 'user');
+    assert.ok(refused.retry_after_ms > 59000 && refused.retry_after_ms <= 60000);
+
+    // The refused request took no token from the IP bucket
+    assert.equal((await consumeRateLimit(LIMITS, 'watchAd', { userId: 11, ip: '1.2.3.4' })).ok, true);
+    const ipRefused = await consumeRateLimit(LIMITS, 'watchAd', { userId: 11, ip: '1.2.3.4' });
+    assert.equal(ipRefused.ok, false);
+    assert.equal(ipRefused.scope, 'ip');
+});
+
+test('tokens come back with time', async () => {
+    await consumeRateLimit(LIMITS, 'watchAd', { userId: 10 });
+    await consumeRateLimit(LIMITS, 'watchAd', { userId: 10 });
+    await storage.update('rate_limit_buckets', { key: 'watchAd:user:10' }, { updated_at: new Date(Date.now() - 61 * 1000).toISOString() });
+
+    assert.equal((await consumeRateLimit(LIMITS, 'watchAd', { userId: 10 })).ok, true);
+    assert.equal((await consumeRateLimit(LIMITS, 'watchAd', { userId: 10 })).ok, false);
+});
+
+test('a rate-limited request gets 429 with Retry-After and retry_after_ms', async () => {
+    assert.equal((await act(10, 'watchAd')).status, 200);
+    assert.equal((await act(10, 'watchAd')).status, 200);
+
+    const limited = await act(10, 'watchAd');
+    assert.equal(limited.status, 429);
+    assert.ok(limited.body.retry_after_ms > 0);
+    assert.equal(await storage.count('ledger', { where: { user_id: 10 } }), 2);
+});
+
+test('without TRUSTED_PROXY_HOPS the per-IP buckets are skipped', async () => {
+    delete process.env.TRUSTED_PROXY_HOPS;
+    delete require.cache[require.resolve('../lib/rateLimit')];
+    const { consumeRateLimit: consumeWithoutProxyHops } = require('../lib/rateLimit');
+
+    for (const userId of [10, 11, 12, 13]) {
+        assert.equal((await consumeWithoutProxyHops(LIMITS, 'watchAd', { userId, ip: '10.0.0.1' })).ok, true);
+    }
+    assert.equal(await storage.count('rate_limit_buckets', { where: { key: 'watchAd:ip:10.0.0.1' } }), 0);
+});
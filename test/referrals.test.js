@@ -0,0 +1,70 @@
+// /test/referrals.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { storage, resetStorage, act, register } = require('./helpers');
+
+// Defaults: reward_per_ad 3, referral_commission_tiers [0.05, 0.02, 0.01],
+// referral_min_ads 20 over referral_min_active_days 2
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Chain 10 <- 11 <- 12 <- 13 <- 14 (each referred by the one before); user 14 has watched
+ * `adsYesterday` + `adsToday` ads.
+ */
+function seedChain({ adsYesterday, adsToday, banned = [] }) {
+    const adEntries = (count, time) => Array.from({ length: count }, () => (
+        { user_id: 14, entry_type: 'ad_reward', amount: 3, balance_after: 0, created_at: new Date(time).toISOString() }
+    ));
+    resetStorage({
+        users: [10, 11, 12, 13, 14].map(id => ({ id, ref_by: id > 10 ? id - 1 : null, is_banned: banned.includes(id) })),
+        ledger: [...adEntries(adsYesterday, Date.now() - DAY_MS), ...adEntries(adsToday, Date.now())]
+    });
+}
+
+async function commissions() {
+    const entries = await storage.select('ledger', { where: { entry_type: 'referral_commission' }, order: { column: 'id' } });
+    return entries.map(entry => [entry.user_id, Math.round(entry.amount * 1e6) / 1e6]);
+}
+
+test('register refuses the user as their own referrer', async () => {
+    seedChain({ adsYesterday: 0, adsToday: 0 });
+
+    const selfReferred = await register(15, { ref_by: 15 });
+    assert.equal(selfReferred.status, 200);
+    assert.equal(selfReferred.body.data.referral.accepted, false);
+});
+
+test('a referral pays no commission before it qualifies', async () => {
+    seedChain({ adsYesterday: 10, adsToday: 5 });
+
+    assert.equal((await act(14, 'watchAd')).status, 200);
+    assert.deepEqual(await commissions(), []);
+    const [referee] = await storage.select('users', { where: { id: 14 } });
+    assert.equal(referee.referral_qualified_at, null);
+});
+
+test('the reward that qualifies the referral pays every level of the chain once', async () => {
+    seedChain({ adsYesterday: 10, adsToday: 9 });
+
+    assert.equal((await act(14, 'watchAd')).status, 200);
+    assert.deepEqual(await commissions(), [[13, 0.15], [12, 0.06], [11, 0.03]]);
+
+    const [referee] = await storage.select('users', { where: { id: 14 } });
+    assert.ok(referee.referral_qualified_at);
+    assert.equal(await storage.count('notifications', { where: { user_id: 13, template: 'referral_qualified' } }), 1);
+});
+
+test('ads on a single day do not qualify the referral', async () => {
+    seedChain({ adsYesterday: 0, adsToday: 30 });
+
+    await act(14, 'watchAd');
+    assert.deepEqual(await commissions(), []);
+});
+
+test('a banned referrer is skipped and the levels above still get theirs', async () => {
+    seedChain({ adsYesterday: 10, adsToday: 9, banned: [12] });
+
+    await act(14, 'watchAd');
+    assert.deepEqual(await commissions(), [[13, 0.15], [11, 0.03]]);
+});
@@ -0,0 +1,87 @@
+// /test/spins.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { hashServerSeed, deriveRandom } = require('../lib/provablyFair');
+const { storage, resetStorage, call, act, register } = require('./helpers');
+
+test.beforeEach(async () => {
+    resetStorage();
+    await register(10);
+});
+
+test('the server seed hash is committed before the client seed and matches the revealed seed', async () => {
+    const committed = await act(10, 'preSpin');
+    assert.equal(committed.status, 200);
+    assert.equal(committed.body.data.nonce, 0);
+
+    const spin = await act(10, 'spinResult', { client_seed: 'my-seed' });
+    assert.equal(spin.status, 200);
+    const { server_seed: serverSeed, server_seed_hash: serverSeedHash, client_seed: clientSeed, nonce } = spin.body.data;
+    assert.equal(serverSeedHash, committed.body.data.server_seed_hash);
+    assert.equal(hashServerSeed(serverSeed), serverSeedHash);
+    assert.equal(clientSeed, 'my-seed');
+    assert.equal(spin.body.data.new_balance, spin.body.data.actual_prize);
+
+    const verified = await call(10, { type: 'verifySpin', spin_id: spin.body.data.spin_id });
+    assert.equal(verified.body.data.verified, true);
+    assert.equal(verified.body.data.random, deriveRandom(serverSeed, clientSeed, nonce));
+});
+
+test('a client seed sent with preSpin is ignored; the one sent with spinResult counts', async () => {
+    assert.equal((await act(10, 'preSpin', { client_seed: 'early' })).status, 200);
+
+    const spin = await act(10, 'spinResult', { client_seed: 'late' });
+    assert.equal(spin.status, 200);
+    assert.equal(spin.body.data.client_seed, 'late');
+});
+
+test('spinResult requires a client seed and keeps the commitment when it is missing', async () => {
+    await act(10, 'preSpin');
+
+    for (const clientSeed of [undefined, '', '   ', 42, 'x'.repeat(65)]) {
+        const refused = await act(10, 'spinResult', { client_seed: clientSeed });
+        assert.equal(refused.status, 400);
+        assert.match(refused.body.error, /client_seed/);
+    }
+    assert.equal(await storage.count('spin_results'), 0);
+    assert.equal((await act(10, 'spinResult', { client_seed: 'mine' })).status, 200);
+});
+
+test('spinResult without a commitment is refused and a commitment is used once', async () => {
+    assert.equal((await act(10, 'spinResult', { client_seed: 'mine' })).status, 409);
+
+    await act(10, 'preSpin');
+    assert.equal((await act(10, 'spinResult', { client_seed: 'mine' })).status, 200);
+    assert.equal((await act(10, 'spinResult', { client_seed: 'mine' })).status, 409);
+
+    const next = await act(10, 'preSpin');
+    assert.equal(next.body.data.nonce, 1);
+});
+
+test('verifySpin reports a recorded result that does not follow from the seeds', async () => {
+    await act(10, 'preSpin');
+    const spin = await act(10, 'spinResult', { client_seed: 'mine' });
+    const wheelSize = (await storage.select('spin_results', { where: { id: spin.body.data.spin_id } }))[0].wheel.length;
+    await storage.update('spin_results', { id: spin.body.data.spin_id }, { prize_index: (spin.body.data.prize_index + 1) % wheelSize });
+
+    const verified = await call(10, { type: 'verifySpin', spin_id: spin.body.data.spin_id });
+    assert.equal(verified.body.data.hash_matches, true);
+    assert.equal(verified.body.data.result_matches, false);
+    assert.equal(verified.body.data.verified, false);
+});
+
+test('spinResult stops at the daily spin limit', async () => {
+    await storage.update('users', { id: 10 }, { spins_today: 14 }); // default daily_max_spins is 15
+
+    await act(10, 'preSpin');
+    const spin = await act(10, 'spinResult', { client_seed: 'seed' });
+    assert.equal(spin.status, 200);
+    assert.equal(spin.body.data.new_spins_count, 15);
+
+    await act(10, 'preSpin');
+    const limited = await act(10, 'spinResult', { client_seed: 'seed' });
+    assert.equal(limited.status, 403);
+    assert.match(limited.body.error, /Daily spin limit/);
+    assert.equal(await storage.count('spin_results', { where: { user_id: 10 } }), 1);
+});
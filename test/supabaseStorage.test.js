@@ -0,0 +1,24 @@
+// /test/supabaseStorage.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildQuery } = require('../lib/storage/supabase');
+
+const decoded = query => decodeURIComponent(query);
+
+test('where filters become PostgREST operators', () => {
+    assert.equal(decoded(buildQuery({ where: { id: 5, status: ['pending', 'approved'], ref_by: null } })),
+        '?id=eq.5&status=in.("pending","approved")&ref_by=is.null');
+    assert.equal(decoded(buildQuery({ where: { created_at: { gte: '2026-01-01', lt: '2026-02-01' } } })),
+        '?created_at=gte.2026-01-01&created_at=lt.2026-02-01');
+});
+
+test('values inside or=(...) are quoted, so they cannot add conditions', () => {
+    const query = buildQuery({ or: [{ username: { ilike: '%a,id.gt.0%' } }, { first_name: 'x"),(is_banned.eq.false' }] });
+    assert.equal(decoded(query), '?or=(username.ilike."*a,id.gt.0*",first_name.eq."x\\"),(is_banned.eq.false")');
+});
+
+test('the is operator only takes null, true or false', () => {
+    assert.equal(decoded(buildQuery({ where: { is_banned: { is: true } } })), '?is_banned=is.true');
+    assert.throws(() => buildQuery({ where: { is_banned: { is: 'true,id.gt.0' } } }), /is operator/);
+});
@@ -0,0 +1,45 @@
+// /test/tasks.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { OWNER_ID, storage, resetStorage, act } = require('./helpers');
+
+test.beforeEach(() => resetStorage({ users: [{ id: OWNER_ID }, { id: 10 }] }));
+
+async function createTask() {
+    const created = await act(OWNER_ID, 'createTask', { name: 'Join', link: 'https://t.me/channel', reward: 50 });
+    assert.equal(created.status, 200);
+    return created.body.data.task.task_id;
+}
+
+test('completeTask pays the reward once per user', async () => {
+    const taskId = await createTask();
+
+    const completed = await act(10, 'completeTask', { task_id: taskId });
+    assert.equal(completed.status, 200);
+    assert.equal((await act(10, 'completeTask', { task_id: taskId })).status, 403);
+
+    const [user] = await storage.select('users', { where: { id: 10 } });
+    assert.equal(user.balance, 50);
+});
+
+test('a task nobody completed can be deleted', async () => {
+    const taskId = await createTask();
+
+    assert.equal((await act(OWNER_ID, 'deleteTask', { task_id: taskId })).status, 200);
+    assert.equal(await storage.count('tasks'), 0);
+});
+
+test('a task with completions cannot be deleted, so its completions keep counting', async () => {
+    const taskId = await createTask();
+    await act(10, 'completeTask', { task_id: taskId });
+
+    const deleted = await act(OWNER_ID, 'deleteTask', { task_id: taskId });
+    assert.equal(deleted.status, 409);
+    assert.match(deleted.body.error, /Pause it instead/);
+    await assert.rejects(storage.remove('tasks', { id: taskId }), /foreign key/);
+
+    assert.equal((await act(OWNER_ID, 'updateTask', { task_id: taskId, is_active: false })).status, 200);
+    assert.equal((await act(10, 'completeTask', { task_id: taskId })).status, 403);
+    assert.equal(await storage.count('task_completions', { where: { task_id: taskId } }), 1);
+});
@@ -0,0 +1,91 @@
+// /test/users.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { storage, resetStorage, call, act, register } = require('./helpers');
+
+test.beforeEach(() => resetStorage());
+
+test('register creates the user once and records a valid referrer', async () => {
+    assert.equal((await register(10)).status, 200);
+
+    const referred = await register(11, { ref_by: 10 });
+    assert.equal(referred.status, 200);
+    assert.equal(referred.body.data.referral.accepted, true);
+
+    assert.equal((await register(11, { ref_by: 10 })).status, 200);
+    const users = await storage.select('users', { where: { id: [10, 11] }, order: { column: 'id' } });
+    assert.equal(users.length, 2);
+    assert.equal(users[1].ref_by, 10);
+});
+
+test('requests need initData signed for the caller', async () => {
+    const forged = await call(10, { type: 'getUserData', initData: 'user=%7B%22id%22%3A10%7D&hash=00' });
+    assert.equal(forged.status, 401);
+
+    const otherUser = await call(10, { type: 'getUserData', user_id: 11 });
+    assert.equal(otherUser.status, 403);
+});
+
+test('watchAd credits the reward through the ledger and uses the action id once', async () => {
+    await register(10);
+
+    const generated = await call(10, { type: 'generateActionId', action_type: 'watchAd' });
+    const actionId = generated.body.data.action_id;
+    const watched = await call(10, { type: 'watchAd', action_id: actionId });
+    assert.equal(watched.status, 200);
+    assert.equal(watched.body.data.new_balance, 3);
+    assert.equal(watched.body.data.new_ads_count, 1);
+
+    const replayed = await call(10, { type: 'watchAd', action_id: actionId });
+    assert.notEqual(replayed.status, 200);
+
+    const ledger = await storage.select('ledger', { where: { user_id: 10 } });
+    assert.deepEqual(ledger.map(entry => [entry.entry_type, entry.amount]), [['ad_reward', 3]]);
+});
+
+test('watchAd stops at the daily ad limit', async () => {
+    resetStorage({ users: [{ id: 10, ads_watched_today: 99 }] }); // default daily_max_ads is 100
+
+    assert.equal((await act(10, 'watchAd')).status, 200);
+    const limited = await act(10, 'watchAd');
+    assert.equal(limited.status, 403);
+    assert.match(limited.body.error, /Daily ad limit/);
+});
+
+test('withdraw moves the amount out of the balance into a pending request', async () => {
+    resetStorage({ users: [{ id: 10, balance: 1000 }] });
+
+    const withdrawal = await act(10, 'withdraw', { amount: 500, binanceId: '12345678' });
+    assert.equal(withdrawal.status, 200);
+    assert.equal(withdrawal.body.data.new_balance, 500);
+
+    const [request] = await storage.select('withdrawals', { where: { id: withdrawal.body.data.withdrawal_id } });
+    assert.equal(request.status, 'pending');
+    assert.equal(request.binance_id, '12345678');
+});
+
+test('withdraw validates the amount, the Binance ID and the balance', async () => {
+    resetStorage({ users: [{ id: 10, balance: 1000 }] });
+
+    assert.equal((await act(10, 'withdraw', { amount: 100, binanceId: '12345678' })).status, 400);
+    assert.equal((await act(10, 'withdraw', { amount: 500, binanceId: '<b>x</b>' })).status, 400);
+    assert.equal((await act(10, 'withdraw', { amount: 5000, binanceId: '12345678' })).status, 400);
+
+    const [user] = await storage.select('users', { where: { id: 10 } });
+    assert.equal(user.balance, 1000);
+    assert.equal(await storage.count('withdrawals'), 0);
+});
+
+test('a refused withdrawal leaves the action id usable for the corrected request', async () => {
+    resetStorage({ users: [{ id: 10, balance: 1000 }] });
+
+    const generated = await call(10, { type: 'generateActionId', action_type: 'withdraw' });
+    const actionId = generated.body.data.action_id;
+    assert.equal((await call(10, { type: 'withdraw', action_id: actionId, amount: 500, binanceId: 'abc' })).status, 400);
+    assert.equal((await call(10, { type: 'withdraw', action_id: actionId, amount: 5000, binanceId: '12345678' })).status, 400);
+
+    const corrected = await call(10, { type: 'withdraw', action_id: actionId, amount: 500, binanceId: '12345678' });
+    assert.equal(corrected.status, 200);
+    assert.notEqual((await call(10, { type: 'withdraw', action_id: actionId, amount: 500, binanceId: '12345678' })).status, 200);
+});